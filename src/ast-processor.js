@@ -1,21 +1,212 @@
+import { createRequire } from 'node:module';
+import { join } from 'node:path';
+import { existsSync } from 'node:fs';
+import { SeededRandom } from './utils/random.js';
+
+const require = createRequire(import.meta.url);
+
+// Literal and comment node types across the bundled grammars; cursors inside them aren't code
+const OPAQUE_NODE_PATTERN = /string|char|comment|regex|text_block/;
+
 export class ASTProcessor {
-  constructor() {
+  constructor({ grammarDir = null, rng = new SeededRandom() } = {}) {
+    this.rng = rng;
     this.parsers = new Map();
     this.hasTreeSitter = false;
+    this.grammarDir = grammarDir;
+    this._initPromise = null;
+
+    // WASM grammar file for each language, looked up in grammarDir or the bundled tree-sitter-wasms package
+    this.grammarFiles = {
+      python: 'tree-sitter-python.wasm',
+      javascript: 'tree-sitter-javascript.wasm',
+      typescript: 'tree-sitter-typescript.wasm',
+      java: 'tree-sitter-java.wasm',
+      cpp: 'tree-sitter-cpp.wasm',
+      c: 'tree-sitter-c.wasm'
+    };
     
     this.priorityNodes = {
       python: ['if_statement', 'function_definition', 'call', 'assignment', 'for_statement', 'while_statement'],
       javascript: ['if_statement', 'function_declaration', 'call_expression', 'assignment_expression', 'for_statement'],
       typescript: ['if_statement', 'function_declaration', 'call_expression', 'assignment_expression', 'for_statement'],
-      java: ['if_statement', 'method_declaration', 'method_invocation', 'assignment', 'for_statement'],
+      java: ['if_statement', 'method_declaration', 'method_invocation', 'assignment_expression', 'for_statement'],
       cpp: ['if_statement', 'function_definition', 'call_expression', 'assignment_expression', 'for_statement'],
       c: ['if_statement', 'function_definition', 'call_expression', 'assignment_expression', 'for_statement']
     };
   }
 
-  selectCursorPositions(code, _language, numPositions = 3) {
-    // For now, always use fallback until tree-sitter parsers are properly configured
-    return this._fallbackCursorSelection(code, numPositions);
+  /**
+   * Load tree-sitter parsers for every language that has a grammar available.
+   * Safe to call more than once; languages without a grammar keep using the fallback.
+   */
+  async init() {
+    if (!this._initPromise) {
+      this._initPromise = this._loadParsers();
+    }
+    return this._initPromise;
+  }
+
+  async _loadParsers() {
+    let Parser;
+    try {
+      ({ default: Parser } = await import('web-tree-sitter'));
+      await Parser.init();
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'test') console.warn('tree-sitter unavailable, using fallback cursor selection:', error.message);
+      return;
+    }
+
+    for (const [language, filename] of Object.entries(this.grammarFiles)) {
+      const grammarPath = this._resolveGrammarPath(filename);
+      if (!grammarPath) continue;
+
+      try {
+        const grammar = await Parser.Language.load(grammarPath);
+        const parser = new Parser();
+        parser.setLanguage(grammar);
+        this.parsers.set(language, parser);
+      } catch (error) {
+        if (process.env.NODE_ENV !== 'test') console.warn(`Failed to load ${language} grammar:`, error.message);
+      }
+    }
+
+    this.hasTreeSitter = this.parsers.size > 0;
+  }
+
+  _resolveGrammarPath(filename) {
+    if (this.grammarDir) {
+      const path = join(this.grammarDir, filename);
+      return existsSync(path) ? path : null;
+    }
+
+    try {
+      return require.resolve(`tree-sitter-wasms/out/${filename}`);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Pick cursor positions at the starts of syntax nodes, preferring the
+   * language's priority nodes. Languages without a grammar use line heuristics.
+   * @param {string} code - Source code
+   * @param {string} language - Language name
+   * @param {number} [numPositions] - Positions wanted; fewer come back when the code has fewer nodes
+   * @param {Object} [options]
+   * @param {Array} [options.within] - Inclusive [start, end] offset ranges to pick from. Without
+   *   a grammar there are no node starts to restrict, so nothing is returned
+   * @returns {Array} Sorted offsets
+   */
+  selectCursorPositions(code, language, numPositions = 3, { within = null } = {}) {
+    const parser = this.parsers.get(language);
+    if (!code || !parser) {
+      return within ? [] : this._fallbackCursorSelection(code, numPositions);
+    }
+
+    let positions;
+    try {
+      positions = this._treeSitterCursorSelection(code, parser, this.priorityNodes[language] || []);
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'test') console.warn(`tree-sitter parse failed for ${language}:`, error.message);
+      return within ? [] : this._fallbackCursorSelection(code, numPositions);
+    }
+
+    // Restrict to the ranges before sampling, so small ranges in large files still get node starts
+    const inRange = pos => !within || within.some(([start, end]) => pos >= start && pos <= end);
+    const priority = positions.priority.filter(inRange);
+    const other = positions.other.filter(inRange);
+    if (priority.length >= numPositions) {
+      return this.rng.sample(priority, numPositions).sort((a, b) => a - b);
+    }
+
+    // Not enough priority nodes, so top up with other node starts from the same tree
+    const topUp = this.rng.sample(other, Math.min(other.length, numPositions - priority.length));
+    return [...priority, ...topUp].sort((a, b) => a - b);
+  }
+
+  /**
+   * Find the exclusive end of the largest syntax node that starts at `position`,
+   * or of the innermost node containing it. Returns null without a grammar.
+   */
+  findNodeEnd(code, language, position) {
+    const parser = this.parsers.get(language);
+    if (!code || !parser) return null;
+
+    const tree = parser.parse(code);
+    try {
+      let node = tree.rootNode.descendantForIndex(position);
+
+      // Cursor in whitespace after a node: move up to something that spans it
+      while (node.parent && node.endIndex <= position) {
+        node = node.parent;
+      }
+      while (node.parent && node.parent.parent && node.parent.startIndex === position) {
+        node = node.parent;
+      }
+
+      return node.endIndex > position ? node.endIndex : null;
+    } catch {
+      return null;
+    } finally {
+      tree.delete();
+    }
+  }
+
+  /**
+   * Parse the code and return the start offset of every priority node, and of
+   * every other named node that doesn't start inside a literal or comment
+   * @returns {Object} { priority, other }
+   */
+  _treeSitterCursorSelection(code, parser, nodeTypes) {
+    const types = new Set(nodeTypes);
+    const priority = new Set();
+    const named = new Set();
+    const opaque = [];
+    const tree = parser.parse(code);
+    const cursor = tree.walk();
+
+    try {
+      let descending = true;
+      for (;;) {
+        if (descending) {
+          if (cursor.startIndex < code.length) {
+            if (types.has(cursor.nodeType)) {
+              priority.add(cursor.startIndex);
+            } else if (cursor.nodeIsNamed) {
+              named.add(cursor.startIndex);
+            }
+          }
+          if (OPAQUE_NODE_PATTERN.test(cursor.nodeType)) {
+            opaque.push([cursor.startIndex, cursor.endIndex]);
+          }
+          if (cursor.gotoFirstChild()) continue;
+        }
+        if (cursor.gotoNextSibling()) {
+          descending = true;
+          continue;
+        }
+        if (!cursor.gotoParent()) break;
+        descending = false;
+      }
+    } finally {
+      // Trees live in WASM memory and are not garbage collected
+      cursor.delete();
+      tree.delete();
+    }
+
+    // Opaque nodes come in document order, so one sweep finds the starts inside them
+    const other = [];
+    let next = 0;
+    let opaqueEnd = 0;
+    for (const pos of [...named].sort((a, b) => a - b)) {
+      while (next < opaque.length && opaque[next][0] < pos) {
+        opaqueEnd = Math.max(opaqueEnd, opaque[next++][1]);
+      }
+      if (pos >= opaqueEnd && !priority.has(pos)) other.push(pos);
+    }
+
+    return { priority: [...priority], other };
   }
 
   _fallbackCursorSelection(code, numPositions) {
@@ -69,7 +260,7 @@ export class ASTProcessor {
       // If still not enough, add random positions
       let attempts = 0;
       while (additionalPositions.size < numPositions && attempts < 100) {
-        const randomPos = Math.floor(Math.random() * code.length);
+        const randomPos = this.rng.int(code.length);
         additionalPositions.add(randomPos);
         attempts++;
       }
@@ -78,8 +269,7 @@ export class ASTProcessor {
     }
 
     if (uniquePositions.length > numPositions) {
-      const shuffled = uniquePositions.sort(() => Math.random() - 0.5);
-      return shuffled.slice(0, numPositions).sort((a, b) => a - b);
+      return this.rng.sample(uniquePositions, numPositions).sort((a, b) => a - b);
     }
 
     return uniquePositions.sort((a, b) => a - b);
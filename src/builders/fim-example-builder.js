@@ -1,5 +1,11 @@
-import { FIMExample, FIMFormat } from '../types.js';
+import { FIMExample, FIMFormat, SpanStrategy } from '../types.js';
 import { StringRegionManager, RegionDescriptor } from '../utils/string-region-manager.js';
+import { getTemplate } from './prompt-templates.js';
+import { SeededRandom } from '../utils/random.js';
+import { computeContextWindow, fitToBudget } from '../utils/context-window.js';
+
+const RECENT_EDITS_HEADER = '### User Edits:\n\n';
+const RECENT_EDITS_FOOTER = '\n\n### User Excerpt:\n\n';
 
 export class FIMExampleBuilder {
   constructor() {
@@ -16,6 +22,19 @@ export class FIMExampleBuilder {
     this.format = null;
     this.metadata = {};
     this.manager = null;
+    this.beforeCode = null;
+    this.beforeRegion = null;
+    this.beforeManager = null;
+    this.recentEdits = [];
+    this.template = getTemplate('default');
+    this.rng = new SeededRandom();
+    this.spmRate = 0.5;
+    this.spanStrategy = SpanStrategy.FIXED;
+    this.nodeSpanEnd = null;
+    this.middleInRegion = false;
+    this.contextBudget = null;
+    this.contextFiles = [];
+    this.repoName = null;
     return this;
   }
 
@@ -65,6 +84,114 @@ export class FIMExampleBuilder {
     return this;
   }
 
+  /**
+   * Set the previous version of the code and the region of it that the
+   * editable region replaced. End is inclusive; end < start means the
+   * editable region was inserted at `start` without replacing anything.
+   */
+  withBefore(code, start, end) {
+    this.beforeCode = code || '';
+    this.beforeManager = new StringRegionManager(this.beforeCode);
+    const validStart = this.beforeManager.clampPosition(start);
+    const validEnd = Math.max(validStart - 1, Math.min(end, this.beforeCode.length - 1));
+    this.beforeRegion = [validStart, validEnd];
+    return this;
+  }
+
+  /**
+   * Set the user's recent edits, oldest first, as { filepath, diff } entries.
+   * Only the ZED format renders them.
+   */
+  withRecentEdits(edits) {
+    this.recentEdits = (edits || []).filter(edit => edit && edit.diff);
+    return this;
+  }
+
+  /**
+   * Set the prompt template (registered name or template object) used for PSM/SPM tokens
+   */
+  withTemplate(nameOrTemplate) {
+    this.template = getTemplate(nameOrTemplate);
+    return this;
+  }
+
+  /**
+   * Set the random source used for stochastic choices such as the MIXED split
+   */
+  withRandom(rng) {
+    this.rng = rng;
+    return this;
+  }
+
+  /**
+   * Set the probability that a MIXED example is built as SPM rather than PSM
+   */
+  withSpmRate(rate) {
+    if (typeof rate !== 'number' || isNaN(rate) || rate < 0 || rate > 1) {
+      throw new Error('SPM rate must be a number between 0 and 1');
+    }
+    this.spmRate = rate;
+    return this;
+  }
+
+  /**
+   * Set how the PSM/SPM middle is chosen after the cursor
+   */
+  withSpanStrategy(strategy) {
+    const validStrategies = Object.values(SpanStrategy);
+    if (!validStrategies.includes(strategy)) {
+      throw new Error(`Invalid span strategy. Must be one of: ${validStrategies.join(', ')}`);
+    }
+    this.spanStrategy = strategy;
+    return this;
+  }
+
+  /**
+   * Set the end (exclusive) of the syntax node at the cursor, used by the AST span strategy
+   */
+  withNodeSpanEnd(end) {
+    this.nodeSpanEnd = end;
+    return this;
+  }
+
+  /**
+   * End every PSM/SPM middle at the editable region, whatever the span
+   * strategy. Used when the region is the lines a commit added.
+   */
+  withMiddleInRegion(enabled = true) {
+    this.middleInRegion = enabled;
+    return this;
+  }
+
+  /**
+   * Limit the prefix and suffix kept around the middle, trimming at line
+   * boundaries where possible. Pass null to keep the whole file.
+   * @param {Object|null} budget - { maxContext, prefixBias, tokenizer }
+   */
+  withContextBudget(budget) {
+    if (budget && !(budget.maxContext > 0)) {
+      throw new Error('Context budget must be a positive number');
+    }
+    if (budget && budget.prefixBias !== undefined && !(budget.prefixBias >= 0 && budget.prefixBias <= 1)) {
+      throw new Error('Context prefix bias must be between 0 and 1');
+    }
+    this.contextBudget = budget || null;
+    return this;
+  }
+
+  /**
+   * Set related files rendered ahead of PSM/SPM prompts with the template's
+   * repo-level tokens. Under a context budget they get what the file's own
+   * prefix and suffix leave over.
+   * @param {Array} files - [{ filepath, content }]
+   * @param {string} [repoName] - Repository name for the repo token
+   */
+  withContextFiles(files, repoName = null) {
+    this.contextFiles = files || [];
+    this.repoName = repoName;
+    return this;
+  }
+
   /**
    * Set the FIM format
    */
@@ -85,11 +212,25 @@ export class FIMExampleBuilder {
       filepath: editPair.filepath,
       commit: editPair.commitHash,
       language: editPair.language,
-      commitMessage: editPair.commitMessage
+      commitMessage: editPair.commitMessage,
+      commitDate: editPair.commitDate,
+      author: editPair.author,
+      authorEmail: editPair.authorEmail,
+      changeType: editPair.changeType,
+      ...(editPair.oldPath && { oldPath: editPair.oldPath }),
+      ...(editPair.hunk && { hunk: editPair.hunk })
     };
     return this;
   }
 
+  /**
+   * Merge additional fields into the example metadata
+   */
+  withExtraMetadata(fields) {
+    this.metadata = { ...this.metadata, ...fields };
+    return this;
+  }
+
   /**
    * Build the FIM example based on the configured format
    */
@@ -103,10 +244,11 @@ export class FIMExampleBuilder {
         return this._buildPSMFormat();
       case FIMFormat.SPM:
         return this._buildSPMFormat();
+      case FIMFormat.EDIT_PREDICTION:
+        return this._buildEditPredictionFormat();
       case FIMFormat.MIXED:
-        // For MIXED, randomly choose PSM or SPM
-        // TODO: add support for defining the split
-        return Math.random() < 0.5 ? this._buildPSMFormat() : this._buildSPMFormat();
+        // For MIXED, randomly choose PSM or SPM according to the SPM rate
+        return this.rng.next() < this.spmRate ? this._buildSPMFormat() : this._buildPSMFormat();
       default:
         throw new Error(`Unsupported format: ${this.format}`);
     }
@@ -118,10 +260,11 @@ export class FIMExampleBuilder {
    */
   _buildZedFormat() {
     const [start, end] = this.editableRegion;
+    const [windowStart, windowEnd] = this._contextWindow(this.code, start, end + 1);
 
     // Build the prompt with tokens up to cursor position
     const prompt = this.manager.buildWithTokens([
-      RegionDescriptor.text(0, start),
+      RegionDescriptor.text(windowStart, start),
       RegionDescriptor.token('<|editable_region_start|>'),
       RegionDescriptor.text(start, this.cursorPosition),
       RegionDescriptor.token('<|user_cursor_is_here|>')
@@ -136,23 +279,111 @@ export class FIMExampleBuilder {
 
     // Build full context with all tokens
     const context = this.manager.buildWithTokens([
-      RegionDescriptor.text(0, start),
+      RegionDescriptor.text(windowStart, start),
       RegionDescriptor.token('<|editable_region_start|>'),
       RegionDescriptor.text(start, this.cursorPosition),
       RegionDescriptor.token('<|user_cursor_is_here|>'),
       RegionDescriptor.text(this.cursorPosition, end + 1),
       RegionDescriptor.token('<|editable_region_end|>'),
-      RegionDescriptor.text(end + 1, this.code.length)
+      RegionDescriptor.text(end + 1, windowEnd)
     ]);
 
+    const edits = this._fitRecentEdits([[windowStart, start], [end + 1, windowEnd]]);
+    const events = this._renderRecentEdits(edits);
+    const dropped = this.recentEdits.length - edits.length;
+
     return new FIMExample({
-      prompt,
+      prompt: events + prompt,
       completion,
-      context,
+      context: events + context,
       format: FIMFormat.ZED,
       cursorPosition: this.cursorPosition,
       editableRegion: this.editableRegion,
-      metadata: this.metadata
+      metadata: this._exampleMetadata([windowStart, windowEnd], dropped ? { droppedRecentEdits: dropped } : {})
+    });
+  }
+
+  /**
+   * Render recent edits as the events section that precedes the excerpt in
+   * Zed's edit prediction prompt. Empty when there are no edits.
+   */
+  _renderRecentEdits(edits) {
+    if (!edits.length) return '';
+    return `${RECENT_EDITS_HEADER}${edits.map(renderEvent).join('\n\n')}${RECENT_EDITS_FOOTER}`;
+  }
+
+  /**
+   * The newest recent edits that fit in what the kept file text leaves of the
+   * context budget, oldest first. Older edits are dropped before newer ones.
+   * @param {Array} ranges - [start, end) ranges of the file in the prompt
+   */
+  _fitRecentEdits(ranges) {
+    if (!this.contextBudget || !this.recentEdits.length) return this.recentEdits;
+
+    let remaining = this._remainingBudget(ranges, RECENT_EDITS_HEADER + RECENT_EDITS_FOOTER);
+    let first = this.recentEdits.length;
+    while (first > 0) {
+      const cost = this._count(renderEvent(this.recentEdits[first - 1]) + '\n\n');
+      if (cost > remaining) break;
+      remaining -= cost;
+      first--;
+    }
+    return this.recentEdits.slice(first);
+  }
+
+  /**
+   * Build a next-edit prediction example: the prompt shows the old version of
+   * the editable region and the completion is the rewritten region. Returns
+   * null when the region is the same in both versions.
+   */
+  _buildEditPredictionFormat() {
+    const [start, end] = this.editableRegion;
+    const [beforeStart, beforeEnd] = this.beforeRegion;
+    const beforeRegionText = this.beforeManager.extractRegion(beforeStart, beforeEnd + 1);
+    const afterRegionText = this.manager.extractRegion(start, end + 1);
+    if (beforeRegionText === afterRegionText) {
+      // Nothing to predict
+      return null;
+    }
+
+    // Keep the cursor on text both versions share, at most as far in as it was in the new version
+    let shared = 0;
+    while (shared < beforeRegionText.length && beforeRegionText[shared] === afterRegionText[shared]) {
+      shared++;
+    }
+    const beforeCursor = beforeStart + Math.min(this.cursorPosition - start, shared);
+    const [windowStart, windowEnd] = this._contextWindow(this.beforeCode, beforeStart, beforeEnd + 1);
+    const [afterWindowStart, afterWindowEnd] = this._contextWindow(this.code, start, end + 1);
+
+    const prompt = this.beforeManager.buildWithTokens([
+      RegionDescriptor.text(windowStart, beforeStart),
+      RegionDescriptor.token('<|editable_region_start|>'),
+      RegionDescriptor.text(beforeStart, beforeCursor),
+      RegionDescriptor.token('<|user_cursor_is_here|>'),
+      RegionDescriptor.text(beforeCursor, beforeEnd + 1),
+      RegionDescriptor.token('<|editable_region_end|>'),
+      RegionDescriptor.text(beforeEnd + 1, windowEnd)
+    ]);
+
+    const context = this.manager.buildWithTokens([
+      RegionDescriptor.text(afterWindowStart, start),
+      RegionDescriptor.token('<|editable_region_start|>'),
+      RegionDescriptor.text(start, end + 1),
+      RegionDescriptor.token('<|editable_region_end|>'),
+      RegionDescriptor.text(end + 1, afterWindowEnd)
+    ]);
+
+    return new FIMExample({
+      prompt,
+      completion: afterRegionText,
+      context,
+      format: FIMFormat.EDIT_PREDICTION,
+      cursorPosition: this.cursorPosition,
+      editableRegion: this.editableRegion,
+      metadata: this._exampleMetadata([windowStart, windowEnd], {
+        beforeRegion: this.beforeRegion,
+        beforeCursorPosition: beforeCursor
+      })
     });
   }
 
@@ -160,18 +391,18 @@ export class FIMExampleBuilder {
    * Build a PSM (Prefix-Suffix-Middle) format example
    */
   _buildPSMFormat() {
-    // Determine middle region (typically 50 chars after cursor)
-    // not sure if 50 is a good default here, but will run with it for now
-    const middleSize = Math.min(50, this.code.length - this.cursorPosition);
-    const middleEnd = this.cursorPosition + middleSize;
+    const middleEnd = this._middleEnd();
+    const [windowStart, windowEnd] = this._contextWindow(this.code, this.cursorPosition, middleEnd);
+    const repoContext = this._fitContextFiles(windowStart, this.cursorPosition, middleEnd, windowEnd);
 
     // Build prompt in PSM order
-    const prompt = this.manager.buildWithTokens([
-      RegionDescriptor.token('<|fim_prefix|>'),
-      RegionDescriptor.text(0, this.cursorPosition),
-      RegionDescriptor.token('<|fim_suffix|>'),
-      RegionDescriptor.text(middleEnd, this.code.length),
-      RegionDescriptor.token('<|fim_middle|>')
+    const { prefix, suffix, middle } = this.template;
+    const prompt = this._renderRepoContext(repoContext.files) + this.manager.buildWithTokens([
+      RegionDescriptor.token(prefix),
+      RegionDescriptor.text(windowStart, this.cursorPosition),
+      RegionDescriptor.token(suffix),
+      RegionDescriptor.text(middleEnd, windowEnd),
+      RegionDescriptor.token(middle)
     ]);
 
     const completion = this.manager.extractRegion(this.cursorPosition, middleEnd) || '';
@@ -183,7 +414,11 @@ export class FIMExampleBuilder {
       format: FIMFormat.PSM,
       cursorPosition: this.cursorPosition,
       editableRegion: this.editableRegion,
-      metadata: this.metadata
+      metadata: this._exampleMetadata([windowStart, windowEnd], {
+        spanStrategy: this.spanStrategy,
+        middleLength: middleEnd - this.cursorPosition,
+        ...this._contextFilesMetadata(repoContext)
+      })
     });
   }
 
@@ -191,16 +426,18 @@ export class FIMExampleBuilder {
    * Build a SPM (Suffix-Prefix-Middle) format example
    */
   _buildSPMFormat() {
-    const middleSize = Math.min(50, this.code.length - this.cursorPosition);
-    const middleEnd = this.cursorPosition + middleSize;
+    const middleEnd = this._middleEnd();
+    const [windowStart, windowEnd] = this._contextWindow(this.code, this.cursorPosition, middleEnd);
+    const repoContext = this._fitContextFiles(windowStart, this.cursorPosition, middleEnd, windowEnd);
 
     // Build prompt in SPM order
-    const prompt = this.manager.buildWithTokens([
-      RegionDescriptor.token('<|fim_suffix|>'),
-      RegionDescriptor.text(middleEnd, this.code.length),
-      RegionDescriptor.token('<|fim_prefix|>'),
-      RegionDescriptor.text(0, this.cursorPosition),
-      RegionDescriptor.token('<|fim_middle|>')
+    const { prefix, suffix, middle } = this.template;
+    const prompt = this._renderRepoContext(repoContext.files) + this.manager.buildWithTokens([
+      RegionDescriptor.token(suffix),
+      RegionDescriptor.text(middleEnd, windowEnd),
+      RegionDescriptor.token(prefix),
+      RegionDescriptor.text(windowStart, this.cursorPosition),
+      RegionDescriptor.token(middle)
     ]);
 
     const completion = this.manager.extractRegion(this.cursorPosition, middleEnd) || '';
@@ -212,10 +449,161 @@ export class FIMExampleBuilder {
       format: FIMFormat.SPM,
       cursorPosition: this.cursorPosition,
       editableRegion: this.editableRegion,
-      metadata: this.metadata
+      metadata: this._exampleMetadata([windowStart, windowEnd], {
+        spanStrategy: this.spanStrategy,
+        middleLength: middleEnd - this.cursorPosition,
+        ...this._contextFilesMetadata(repoContext)
+      })
     });
   }
 
+  /**
+   * Render context files followed by the header of the file being completed,
+   * in the repo-level layout used by StarCoder2 and Qwen2.5-Coder. Templates
+   * without a file separator get DeepSeek-style "# path" headers instead.
+   */
+  _renderRepoContext(files) {
+    if (!files.length) return '';
+    return this._repoHeader() + files.map(file => this._renderContextFile(file)).join('') + this._fileHeader();
+  }
+
+  _repoHeader() {
+    const { repoName } = this.template;
+    return repoName && this.repoName ? `${repoName}${this.repoName}\n` : '';
+  }
+
+  _fileHeader(filepath = this.metadata.filepath || 'untitled') {
+    const { fileSeparator } = this.template;
+    return fileSeparator ? `${fileSeparator}${filepath}\n` : `# ${filepath}\n`;
+  }
+
+  _renderContextFile(file) {
+    const content = file.content.endsWith('\n') ? file.content : `${file.content}\n`;
+    return this._fileHeader(file.filepath) + content;
+  }
+
+  /**
+   * Context files that fit in what the kept prefix [prefixStart, prefixEnd) and
+   * suffix [suffixStart, suffixEnd) leave of the context budget, in order. The
+   * first file that doesn't fit is cut at a line boundary and the rest dropped.
+   * @returns {Object} { files, trimmed }, trimmed being the path of a cut file or null
+   */
+  _fitContextFiles(prefixStart, prefixEnd, suffixStart, suffixEnd) {
+    if (!this.contextBudget || !this.contextFiles.length) {
+      return { files: this.contextFiles, trimmed: null };
+    }
+
+    const { tokenizer } = this.contextBudget;
+    let remaining = this._remainingBudget([[prefixStart, prefixEnd], [suffixStart, suffixEnd]],
+      this._repoHeader() + this._fileHeader());
+
+    const files = [];
+    for (const file of this.contextFiles) {
+      const cost = this._count(this._renderContextFile(file));
+      if (cost <= remaining) {
+        files.push(file);
+        remaining -= cost;
+        continue;
+      }
+
+      const content = fitToBudget(file.content, remaining - this._count(this._fileHeader(file.filepath)), { tokenizer });
+      if (content.trim()) {
+        files.push({ ...file, content });
+        return { files, trimmed: file.filepath };
+      }
+      break;
+    }
+
+    return { files, trimmed: null };
+  }
+
+  /**
+   * What the context budget leaves once the [start, end) ranges of the file
+   * and some fixed text are in the prompt
+   */
+  _remainingBudget(ranges, fixed) {
+    const used = ranges.reduce((sum, [start, end]) => sum + this._count(this.code.substring(start, end)), 0);
+    return this.contextBudget.maxContext - used - this._count(fixed);
+  }
+
+  /**
+   * Size of text in the context budget's unit: tokens with a tokenizer, else characters
+   */
+  _count(text) {
+    const { tokenizer } = this.contextBudget;
+    return tokenizer ? tokenizer.count(text) : text.length;
+  }
+
+  _contextFilesMetadata({ files, trimmed }) {
+    return {
+      ...(files.length && { contextFiles: files.map(file => file.filepath) }),
+      ...(trimmed && { trimmedContextFile: trimmed })
+    };
+  }
+
+  /**
+   * Find the exclusive end of the PSM/SPM middle for the current span strategy
+   */
+  _middleEnd() {
+    const end = this._spanEnd();
+    return this.middleInRegion ? Math.min(end, this.editableRegion[1] + 1) : end;
+  }
+
+  _spanEnd() {
+    const cursor = this.cursorPosition;
+    const length = this.code.length;
+
+    switch (this.spanStrategy) {
+      case SpanStrategy.RANDOM: {
+        // Uniform end point as in the original FIM paper, bounded by the editable region
+        const limit = Math.max(cursor + 1, Math.min(length, this.editableRegion[1] + 1));
+        return Math.min(length, cursor + 1 + this.rng.int(limit - cursor));
+      }
+      case SpanStrategy.LINE:
+        return this._lineEnd(cursor);
+      case SpanStrategy.BLOCK: {
+        const { end } = this.manager.findBlockBoundaries(cursor);
+        return end > cursor ? Math.min(end, length) : this._lineEnd(cursor);
+      }
+      case SpanStrategy.AST:
+        return this.nodeSpanEnd > cursor ? Math.min(this.nodeSpanEnd, length) : this._lineEnd(cursor);
+      case SpanStrategy.FIXED:
+      default:
+        // The original fixed window, which often splits tokens
+        return Math.min(cursor + 50, length);
+    }
+  }
+
+  /**
+   * End of the line at `position`, or of the next line when the cursor sits on a newline
+   */
+  _lineEnd(position) {
+    let end = this.code.indexOf('\n', position);
+    if (end === position) {
+      end = this.code.indexOf('\n', position + 1);
+    }
+    return end === -1 ? this.code.length : end;
+  }
+
+  /**
+   * Slice of `text` to keep around [keepStart, keepEnd) under the context budget
+   */
+  _contextWindow(text, keepStart, keepEnd) {
+    if (!this.contextBudget) return [0, text.length];
+    return computeContextWindow(text, keepStart, keepEnd, this.contextBudget);
+  }
+
+  /**
+   * Example metadata, with the kept context window when a budget trimmed the file
+   */
+  _exampleMetadata(window, fields = {}) {
+    const metadata = { ...this.metadata, ...fields };
+    if (this.contextBudget) {
+      metadata.contextWindow = window;
+    }
+    return metadata;
+  }
+
   /**
    * Validate that all required properties are set
    */
@@ -232,6 +620,9 @@ export class FIMExampleBuilder {
     if (this.cursorPosition === null || this.cursorPosition === undefined) {
       throw new Error('Cursor position is required. Call withCursor() first.');
     }
+    if (this.format === FIMFormat.EDIT_PREDICTION && this.beforeRegion === null) {
+      throw new Error('Before code is required for edit prediction. Call withBefore() first.');
+    }
   }
 
   /**
@@ -245,6 +636,26 @@ export class FIMExampleBuilder {
     newBuilder.format = this.format;
     newBuilder.metadata = { ...this.metadata };
     newBuilder.manager = this.manager;
+    newBuilder.beforeCode = this.beforeCode;
+    newBuilder.beforeRegion = this.beforeRegion ? [...this.beforeRegion] : null;
+    newBuilder.beforeManager = this.beforeManager;
+    newBuilder.recentEdits = [...this.recentEdits];
+    newBuilder.template = this.template;
+    newBuilder.rng = this.rng;
+    newBuilder.spmRate = this.spmRate;
+    newBuilder.spanStrategy = this.spanStrategy;
+    newBuilder.nodeSpanEnd = this.nodeSpanEnd;
+    newBuilder.middleInRegion = this.middleInRegion;
+    newBuilder.contextBudget = this.contextBudget;
+    newBuilder.contextFiles = this.contextFiles;
+    newBuilder.repoName = this.repoName;
     return newBuilder;
   }
 }
+
+/**
+ * One recent edit in Zed's events format
+ */
+function renderEvent(edit) {
+  return `User edited ${JSON.stringify(edit.filepath)}:\n\`\`\`diff\n${edit.diff}\n\`\`\``;
+}
@@ -0,0 +1,134 @@
+import { readFileSync, existsSync } from 'node:fs';
+import { basename, extname, resolve } from 'node:path';
+
+/**
+ * Special tokens used to lay out PSM/SPM prompts for a model family.
+ * Repo-level tokens are used when cross-file context is rendered.
+ */
+export const PromptTemplates = {
+  default: {
+    name: 'default',
+    prefix: '<|fim_prefix|>',
+    suffix: '<|fim_suffix|>',
+    middle: '<|fim_middle|>',
+    repoName: '<|repo_name|>',
+    fileSeparator: '<|file_sep|>'
+  },
+  codellama: {
+    name: 'codellama',
+    prefix: '<PRE> ',
+    suffix: ' <SUF>',
+    middle: ' <MID>',
+    repoName: '',
+    fileSeparator: ''
+  },
+  deepseek: {
+    name: 'deepseek',
+    prefix: '<｜fim▁begin｜>',
+    suffix: '<｜fim▁hole｜>',
+    middle: '<｜fim▁end｜>',
+    repoName: '',
+    fileSeparator: ''
+  },
+  starcoder: {
+    name: 'starcoder',
+    prefix: '<fim_prefix>',
+    suffix: '<fim_suffix>',
+    middle: '<fim_middle>',
+    repoName: '<reponame>',
+    fileSeparator: '<file_sep>'
+  },
+  qwen: {
+    name: 'qwen',
+    prefix: '<|fim_prefix|>',
+    suffix: '<|fim_suffix|>',
+    middle: '<|fim_middle|>',
+    repoName: '<|repo_name|>',
+    fileSeparator: '<|file_sep|>'
+  }
+};
+
+const registry = new Map(Object.entries(PromptTemplates));
+
+/**
+ * Register a template under its name, filling optional tokens from the default
+ * @param {Object} template - Template with name, prefix, suffix and middle tokens
+ * @returns {Object} The normalized template
+ */
+export function registerTemplate(template) {
+  const normalized = normalizeTemplate(template);
+  registry.set(normalized.name, normalized);
+  return normalized;
+}
+
+/**
+ * Look up a template by name, or normalize a template object
+ * @param {string|Object} nameOrTemplate - Registered name or template object
+ * @returns {Object} The template
+ */
+export function getTemplate(nameOrTemplate = 'default') {
+  if (nameOrTemplate && typeof nameOrTemplate === 'object') {
+    return normalizeTemplate(nameOrTemplate);
+  }
+
+  const template = registry.get(nameOrTemplate);
+  if (!template) {
+    throw new Error(`Unknown template: ${nameOrTemplate}. Available: ${listTemplates().join(', ')}`);
+  }
+  return template;
+}
+
+/**
+ * @returns {Array} Names of all registered templates
+ */
+export function listTemplates() {
+  return [...registry.keys()];
+}
+
+/**
+ * Load a JSON template file and register it. The name defaults to the file name.
+ * @param {string} filepath - Path to a JSON file with prefix, suffix and middle tokens
+ * @returns {Object} The registered template
+ */
+export function loadTemplateFile(filepath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(filepath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to load template ${filepath}: ${error.message}`);
+  }
+
+  return registerTemplate({
+    name: basename(filepath, extname(filepath)),
+    ...parsed
+  });
+}
+
+/**
+ * Resolve a CLI-style template argument: a registered name or a path to a template file
+ * @param {string} nameOrPath - Template name or file path
+ * @returns {Object} The template
+ */
+export function resolveTemplate(nameOrPath) {
+  if (registry.has(nameOrPath)) {
+    return registry.get(nameOrPath);
+  }
+  if (existsSync(resolve(nameOrPath))) {
+    return loadTemplateFile(resolve(nameOrPath));
+  }
+  return getTemplate(nameOrPath);
+}
+
+function normalizeTemplate(template) {
+  for (const key of ['name', 'prefix', 'suffix', 'middle']) {
+    if (typeof template[key] !== 'string' || (key === 'name' && !template.name)) {
+      throw new Error(`Invalid template: "${key}" must be a string`);
+    }
+  }
+
+  return {
+    repoName: PromptTemplates.default.repoName,
+    fileSeparator: PromptTemplates.default.fileSeparator,
+    ...template
+  };
+}
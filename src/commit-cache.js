@@ -0,0 +1,174 @@
+import { existsSync, appendFileSync, rmSync, mkdirSync, openSync, readSync, closeSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { EditPair } from './types.js';
+
+// The cache is scanned in chunks this size, so only one line is ever in memory
+const LOAD_CHUNK_BYTES = 1 << 20;
+
+// Part of every key; bump it when mining changes what a commit yields, so
+// caches written by older versions are mined again instead of reused
+const FORMAT_VERSION = 2;
+
+/**
+ * CommitCache - Flat JSONL index of mined commits
+ *
+ * One line per processed commit holding the edit pairs it produced (possibly
+ * none) and counts of the files it skipped, keyed by commit hash and the
+ * mining options that shape them. Lines are appended as commits finish, so an
+ * interrupted run leaves a usable cache and a truncated final line is simply
+ * ignored on load. Only each line's position is kept in memory; pairs are read
+ * back from the file when asked for.
+ */
+export class CommitCache {
+  /**
+   * @param {string} filepath - Cache file, usually commit_cache.jsonl in the output directory
+   */
+  constructor(filepath) {
+    this.filepath = filepath;
+    this.entries = null;
+    this.size = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Remove the cache file and anything loaded from it
+   */
+  clear() {
+    rmSync(this.filepath, { force: true });
+    this.entries = new Map();
+    this.size = 0;
+    return this;
+  }
+
+  /**
+   * @param {string} commitHash - Commit hash
+   * @param {string} optionsKey - Key from CommitCache.optionsKey
+   * @returns {Array|null} Cached edit pairs, or null when the commit hasn't been mined with these options
+   */
+  get(commitHash, optionsKey) {
+    const entry = this._load().get(`${commitHash}:${optionsKey}`);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    const { pairs } = JSON.parse(this._readLine(entry));
+    return pairs.map(pair => new EditPair({ ...pair, commitHash }));
+  }
+
+  /**
+   * @returns {Object} Counts of files skipped in the commit, by reason
+   */
+  getRejected(commitHash, optionsKey) {
+    const entry = this._load().get(`${commitHash}:${optionsKey}`);
+    return entry ? entry.rejected : {};
+  }
+
+  /**
+   * Record the edit pairs mined from a commit
+   * @param {string} commitHash - Commit hash
+   * @param {string} optionsKey - Key from CommitCache.optionsKey
+   * @param {Array} editPairs - Edit pairs from the commit
+   * @param {Object} [rejected] - Counts of files skipped in the commit, by reason
+   */
+  set(commitHash, optionsKey, editPairs, rejected = {}) {
+    const pairs = editPairs.map(pair => ({
+      filepath: pair.filepath,
+      oldPath: pair.oldPath,
+      changeType: pair.changeType,
+      before: pair.before,
+      after: pair.after,
+      diff: pair.diff,
+      commitMessage: pair.commitMessage,
+      commitDate: pair.commitDate,
+      author: pair.author,
+      authorEmail: pair.authorEmail,
+      language: pair.language,
+      contextFiles: pair.contextFiles,
+      hunk: pair.hunk
+    }));
+
+    const entries = this._load();
+    const line = JSON.stringify({ commit: commitHash, options: optionsKey, pairs, rejected }) + '\n';
+    mkdirSync(dirname(this.filepath), { recursive: true });
+    appendFileSync(this.filepath, line);
+
+    const length = Buffer.byteLength(line);
+    entries.set(`${commitHash}:${optionsKey}`, { offset: this.size, length, rejected });
+    this.size += length;
+  }
+
+  /**
+   * Key for the options that change which pairs a commit yields
+   */
+  static optionsKey({ fileExtensions = [], contextFiles = 0, paths = null, includeAdded = false, hunks = null } = {}) {
+    return JSON.stringify({ version: FORMAT_VERSION, extensions: [...fileExtensions].sort(), contextFiles, paths, includeAdded, hunks });
+  }
+
+  _load() {
+    if (this.entries) return this.entries;
+
+    this.entries = new Map();
+    if (!existsSync(this.filepath)) return this.entries;
+
+    const chunk = Buffer.alloc(LOAD_CHUNK_BYTES);
+    const fd = openSync(this.filepath, 'r');
+    let pending = [];
+    let lineStart = 0;
+    try {
+      let bytesRead;
+      while ((bytesRead = readSync(fd, chunk, 0, chunk.length, this.size)) > 0) {
+        let start = 0;
+        let newline;
+        while ((newline = chunk.indexOf(10, start)) !== -1 && newline < bytesRead) {
+          const line = Buffer.concat([...pending, chunk.subarray(start, newline + 1)]);
+          this._index(line.toString('utf-8'), lineStart, line.length);
+          lineStart += line.length;
+          pending = [];
+          start = newline + 1;
+        }
+        // The chunk buffer is reused, so keep a copy of the unfinished line
+        if (start < bytesRead) pending.push(Buffer.from(chunk.subarray(start, bytesRead)));
+        this.size += bytesRead;
+      }
+    } finally {
+      closeSync(fd);
+    }
+
+    if (pending.length) {
+      const line = Buffer.concat(pending);
+      this._index(line.toString('utf-8'), lineStart, line.length);
+      // Start the next entry on its own line
+      appendFileSync(this.filepath, '\n');
+      this.size++;
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Remember where a line's entry sits in the file
+   */
+  _index(line, offset, length) {
+    if (!line.trim()) return;
+    try {
+      const { commit, options, rejected = {} } = JSON.parse(line);
+      this.entries.set(`${commit}:${options}`, { offset, length, rejected });
+    } catch {
+      // Partial line from an interrupted run; that commit is mined again
+    }
+  }
+
+  _readLine({ offset, length }) {
+    const buffer = Buffer.alloc(length);
+    const fd = openSync(this.filepath, 'r');
+    try {
+      readSync(fd, buffer, 0, length, offset);
+    } finally {
+      closeSync(fd);
+    }
+    return buffer.toString('utf-8');
+  }
+}
@@ -1,20 +1,44 @@
 import { writeFileSync, mkdirSync } from 'node:fs';
-import { resolve, join } from 'node:path';
+import { resolve, join, dirname } from 'node:path';
 import { GitHistoryMiner } from './git-history-miner.js';
+import { CommitCache } from './commit-cache.js';
+import { normalizeRepoSpecs } from './repo-manifest.js';
 import { FIMTransformer } from './fim-transformer.js';
 import { NegativeExampleGenerator } from './negative-example-generator.js';
-import { KTOExample, FIMFormat } from './types.js';
+import { KTOExample, FIMFormat, CursorStrategy, SpanStrategy, SplitStrategy, Granularity } from './types.js';
+import { getTemplate } from './builders/prompt-templates.js';
+import { SeededRandom } from './utils/random.js';
+import { summarizeTokenCounts } from './utils/tokenizer.js';
+import { ExternalShuffle } from './utils/external-shuffle.js';
+import { JsonlWriter } from './utils/jsonl-writer.js';
+import { splitGroupKey, assignGroups } from './utils/splits.js';
 import { createLogger, format, transports } from 'winston';
 
 export class DatasetBuilder {
-  constructor(repoPath, outputDir = './dataset') {
+  /**
+   * @param {string|Array} repoPath - Repository path, or a list of paths and
+   *   repository entries (see repo-manifest.js) for one combined dataset
+   * @param {string} outputDir - Output directory
+   */
+  constructor(repoPath, outputDir = './dataset', { seed = null, tokenizer = null, cache = true } = {}) {
     this.repoPath = repoPath;
+    // Optional; anything with count(text). Enables token stats, limits and token budgets
+    this.tokenizer = tokenizer;
     this.outputDir = resolve(outputDir);
     mkdirSync(this.outputDir, { recursive: true });
 
-    this.gitMiner = new GitHistoryMiner(repoPath);
-    this.fimTransformer = new FIMTransformer();
-    this.negativeGenerator = new NegativeExampleGenerator();
+    // One shared random source so a seed reproduces the whole run
+    this.rng = new SeededRandom(seed);
+
+    this.repos = normalizeRepoSpecs(Array.isArray(repoPath) ? repoPath : [repoPath])
+      .map(spec => ({ ...spec, miner: new GitHistoryMiner(spec.path) }));
+    // The first (usually only) repository's miner
+    this.gitMiner = this.repos[0].miner;
+
+    // Mined commits are cached in the output directory, so later runs only mine new ones
+    this.commitCache = cache ? new CommitCache(join(this.outputDir, 'commit_cache.jsonl')) : null;
+    this.fimTransformer = new FIMTransformer({ rng: this.rng });
+    this.negativeGenerator = new NegativeExampleGenerator({ rng: this.rng });
 
     // Only log to console in production mode, not during tests
     const logTransports = [
@@ -41,165 +65,376 @@ export class DatasetBuilder {
     });
   }
 
-  async buildKTODataset({
+  async buildKTODataset(options = {}) {
+    const { kto } = await this._build(['kto'], options);
+    return kto;
+  }
+
+  async buildDPODataset(options = {}) {
+    const { dpo } = await this._build(['dpo'], options);
+    return dpo;
+  }
+
+  /**
+   * Build KTO and DPO datasets from one pass over the history. Both share the
+   * mined edit pairs and positive FIM examples; DPO pairs the first positive
+   * example of each edit with a degraded completion.
+   * @returns {Object} { kto, dpo } stats, each of which may be { error }
+   */
+  async buildDatasets(options = {}) {
+    return this._build(['kto', 'dpo'], options);
+  }
+
+  async _build(types, {
     maxCommits = 1000,
     fimFormat = FIMFormat.ZED,
     trainTestSplit = 0.9,
+    validationSplit = 0,
+    folds = null,
     fileExtensions = null,
     startDate = null,
-    endDate = null
+    endDate = null,
+    cursorStrategy = CursorStrategy.AST,
+    recentEdits = 0,
+    template = 'default',
+    spmRate = 0.5,
+    spanStrategy = SpanStrategy.FIXED,
+    maxContext = null,
+    contextBias = 0.5,
+    maxPromptTokens = null,
+    maxCompletionTokens = null,
+    contextFiles = 0,
+    jobs = 1,
+    maxEditPairsPerRepo = null,
+    revRange = null,
+    branch = null,
+    all = false,
+    firstParent = false,
+    includeMerges = false,
+    authors = null,
+    excludeAuthors = null,
+    committers = null,
+    excludeCommitters = null,
+    includeBots = false,
+    includePaths = null,
+    excludePaths = null,
+    defaultExcludes = true,
+    includeAdded = false,
+    granularity = Granularity.FILE,
+    hunkContext = 20,
+    reflog = false,
+    staged = false,
+    workingTree = false,
+    splitBy = SplitStrategy.EXAMPLE
   }) {
-    this._logBuildInfo('KTO', fimFormat, maxCommits, startDate, endDate);
+    this._logBuildInfo(types.map(type => type.toUpperCase()).join(' + '), fimFormat, maxCommits, startDate, endDate);
 
+    const sinks = {};
     try {
-      this.logger.info('Extracting edit pairs from git history...');
-      const editPairs = await this.gitMiner.extractEditPairs(fileExtensions, maxCommits, startDate, endDate);
-
-      if (!editPairs.length) {
-        this.logger.warn('No edit pairs extracted from repository');
-        return { error: 'No valid edit pairs found' };
+      await this.fimTransformer.init();
+      const promptTemplate = getTemplate(template);
+      const contextBudget = maxContext ? { maxContext, prefixBias: contextBias, tokenizer: this.tokenizer } : null;
+      const tokenLimits = { maxPromptTokens, maxCompletionTokens };
+      this._checkTokenLimits(tokenLimits);
+      const split = { trainTestSplit, validationSplit, folds };
+      this._checkSplits(splitBy, split);
+
+      for (const type of types) {
+        sinks[type] = {
+          shuffle: new ExternalShuffle(this.outputDir, { rng: this.rng }),
+          generated: 0,
+          kept: 0,
+          positives: 0,
+          negatives: 0,
+          splitBy,
+          // Example counts per group, and each numbered negative's group
+          groups: new Map(),
+          negativeGroups: []
+        };
       }
 
-      this.logger.info(`Extracted ${editPairs.length} edit pairs`);
+      // KTO uses several cursor placements per edit; DPO on its own needs one
+      const numExamples = sinks.kto ? 3 : 1;
+      const cacheHits = this.commitCache ? this.commitCache.hits : 0;
+      const editPairCounts = {};
+      const rejectedFiles = {};
+      let editPairCount = 0;
+
+      this.logger.info('Extracting edit pairs and generating examples...');
+      for (const repo of this.repos) {
+        // Weights scale the commit budget and the shared cap; an explicit per-repo cap is used as is
+        const repoCommits = Math.max(1, Math.round(maxCommits * repo.weight));
+        const cap = repo.maxEditPairs ??
+          (maxEditPairsPerRepo ? Math.max(1, Math.round(maxEditPairsPerRepo * repo.weight)) : null);
+        editPairCounts[repo.name] = 0;
+
+        for await (const editPair of repo.miner.iterateEditPairs(repo.extensions || fileExtensions, repoCommits, startDate, endDate, {
+          recentEdits,
+          contextFiles,
+          cache: this.commitCache,
+          jobs,
+          revRange,
+          branch: repo.branch || branch,
+          all,
+          firstParent,
+          includeMerges,
+          authors,
+          excludeAuthors,
+          committers,
+          excludeCommitters,
+          includeBots,
+          includePaths,
+          excludePaths,
+          defaultExcludes,
+          includeAdded,
+          granularity,
+          hunkContext,
+          reflog,
+          staged,
+          workingTree
+        })) {
+          editPairCount++;
+          editPairCounts[repo.name]++;
+
+          const examples = this.fimTransformer.createFIMExamples(editPair, fimFormat, numExamples, {
+            cursorStrategy,
+            recentEdits,
+            template,
+            spmRate,
+            spanStrategy,
+            contextBudget,
+            repoName: repo.name
+          });
 
-      this.logger.info('Generating positive FIM examples...');
-      const positiveFIMExamples = [];
+          if (sinks.kto) await this._collectKTO(sinks.kto, examples, tokenLimits);
+          if (sinks.dpo) await this._collectDPO(sinks.dpo, examples, editPair, tokenLimits);
 
-      for (const editPair of editPairs) {
-        const examples = this.fimTransformer.createFIMExamples(editPair, fimFormat);
-        positiveFIMExamples.push(...examples);
-      }
+          if (cap && editPairCounts[repo.name] >= cap) {
+            this.logger.info(`Reached the cap of ${cap} edit pairs for ${repo.name}`);
+            break;
+          }
+        }
 
-      if (!positiveFIMExamples.length) {
-        this.logger.warn('No FIM examples generated');
-        return { error: 'No FIM examples could be generated' };
+        for (const [reason, count] of Object.entries(repo.miner.rejections || {})) {
+          rejectedFiles[reason] = (rejectedFiles[reason] || 0) + count;
+        }
       }
 
-      this.logger.info(`Generated ${positiveFIMExamples.length} positive examples`);
-
-      const positiveKTO = positiveFIMExamples.map(ex => new KTOExample({
-        prompt: ex.prompt,
-        completion: ex.completion || '',  // Ensure completion is never null
-        label: true,
-        metadata: ex.metadata
-      }));
-
-      this.logger.info('Generating negative examples...');
-      const negativeKTO = this.negativeGenerator.generateNegativeExamples(positiveFIMExamples);
-      this.logger.info(`Generated ${negativeKTO.length} negative examples`);
-
-      let finalNegativeKTO = negativeKTO;
-      if (negativeKTO.length > positiveKTO.length) {
-        finalNegativeKTO = this._randomSample(negativeKTO, positiveKTO.length);
+      if (!editPairCount) {
+        this.logger.warn('No edit pairs extracted from repository');
+        return Object.fromEntries(types.map(type => [type, { error: 'No valid edit pairs found' }]));
       }
 
-      const allExamples = [...positiveKTO, ...finalNegativeKTO];
-      this._shuffleArray(allExamples);
-
-      const splitIdx = Math.floor(allExamples.length * trainTestSplit);
-      const trainExamples = allExamples.slice(0, splitIdx);
-      const testExamples = allExamples.slice(splitIdx);
-
-      this._saveDataset(trainExamples, 'train_kto.jsonl');
-      this._saveDataset(testExamples, 'test_kto.jsonl');
-
-      const stats = {
-        totalExamples: allExamples.length,
-        positiveExamples: positiveKTO.length,
-        negativeExamples: finalNegativeKTO.length,
-        trainExamples: trainExamples.length,
-        testExamples: testExamples.length,
-        uniqueFiles: new Set(allExamples
-          .filter(ex => ex.metadata)
-          .map(ex => ex.metadata.filepath)).size,
+      this.logger.info(`Extracted ${editPairCount} edit pairs`);
+
+      const settings = {
         format: fimFormat,
-        generatedAt: new Date().toISOString()
+        cursorStrategy,
+        template: promptTemplate.name,
+        spmRate,
+        spanStrategy,
+        maxContext,
+        contextBias,
+        contextFiles,
+        maxEditPairsPerRepo,
+        revRange,
+        branch,
+        all,
+        firstParent,
+        includeMerges,
+        authors,
+        excludeAuthors,
+        committers,
+        excludeCommitters,
+        includeBots,
+        includePaths,
+        excludePaths,
+        defaultExcludes,
+        includeAdded,
+        granularity,
+        hunkContext: granularity === Granularity.HUNK ? hunkContext : null,
+        reflog,
+        staged,
+        workingTree,
+        rejectedFiles,
+        splitBy,
+        validationSplit,
+        folds,
+        cachedCommits: this.commitCache ? this.commitCache.hits - cacheHits : 0,
+        seed: this.rng.seed
       };
 
-      this._saveStats(stats, 'kto_stats.json');
-      this.logger.info('Dataset generation completed successfully');
-
-      return stats;
+      const results = {};
+      if (sinks.kto) results.kto = await this._finishKTO(sinks.kto, { split, tokenLimits, settings, editPairCounts });
+      if (sinks.dpo) results.dpo = await this._finishDPO(sinks.dpo, { split, tokenLimits, settings, editPairCounts });
+      return results;
     } catch (error) {
       this.logger.error(`Dataset generation failed: ${error.message}`);
       this.logger.error(error.stack);
-      return { error: error.message };
+      return Object.fromEntries(types.map(type => [type, { error: error.message }]));
+    } finally {
+      for (const sink of Object.values(sinks)) {
+        await sink.shuffle.cleanup();
+      }
     }
   }
 
-  async buildDPODataset({
-    maxCommits = 1000,
-    fimFormat = FIMFormat.ZED,
-    trainTestSplit = 0.9,
-    fileExtensions = null,
-    startDate = null,
-    endDate = null
-  }) {
-    this._logBuildInfo('DPO', fimFormat, maxCommits, startDate, endDate);
+  /**
+   * Queue an edit's positive examples and their degraded negatives for the KTO split
+   */
+  async _collectKTO(sink, examples, tokenLimits) {
+    sink.generated += examples.length;
+
+    const positiveKTO = this._applyTokenLimits(examples.map(ex => new KTOExample({
+      prompt: ex.prompt,
+      completion: ex.completion || '',  // Ensure completion is never null
+      label: true,
+      metadata: ex.metadata
+    })), ['completion'], tokenLimits);
+
+    const negativeKTO = this._applyTokenLimits(
+      this.negativeGenerator.generateNegativeExamples(examples),
+      ['completion'],
+      tokenLimits
+    );
+
+    for (const example of positiveKTO) {
+      const group = this._addToGroup(sink, example.metadata);
+      await sink.shuffle.add({ example: this._toRecord(example), negative: null, group });
+    }
+    // Negatives are numbered so a balanced subset can be chosen once the totals are known
+    for (const example of negativeKTO) {
+      // Negatives are counted once we know which ones are kept
+      const group = splitGroupKey(example.metadata, sink.splitBy);
+      if (group !== null) sink.negativeGroups.push({ group, date: example.metadata.commitDate });
+      await sink.shuffle.add({ example: this._toRecord(example), negative: sink.negatives++, group });
+    }
+    sink.positives += positiveKTO.length;
+  }
 
-    try {
-      const editPairs = await this.gitMiner.extractEditPairs(fileExtensions, maxCommits, startDate, endDate);
+  async _finishKTO(sink, { split, tokenLimits, settings, editPairCounts }) {
+    if (!sink.generated) {
+      this.logger.warn('No FIM examples generated');
+      return { error: 'No FIM examples could be generated' };
+    }
 
-      if (!editPairs.length) {
-        return { error: 'No valid edit pairs found' };
-      }
+    if (!sink.positives) {
+      this.logger.warn('No FIM examples within token limits');
+      return { error: 'No FIM examples within token limits' };
+    }
 
-      const dpoExamples = [];
-
-      for (const editPair of editPairs) {
-        const preferredExamples = this.fimTransformer.createFIMExamples(
-          editPair, fimFormat, 1
-        );
-
-        if (preferredExamples.length > 0) {
-          const pref = preferredExamples[0];
-          const degraded = this.negativeGenerator._applyDegradation(
-            pref.completion,
-            this.negativeGenerator._chooseDegradationMethod(),
-            editPair.language
-          );
-
-          dpoExamples.push({
-            prompt: pref.prompt,
-            chosen: pref.completion,
-            rejected: degraded,
-            metadata: pref.metadata
-          });
-        }
-      }
+    this.logger.info(`Generated ${sink.positives} positive and ${sink.negatives} negative examples`);
 
-      if (!dpoExamples.length) {
-        return { error: 'No DPO examples could be generated' };
-      }
+    let keptNegatives = null;
+    if (sink.negatives > sink.positives) {
+      const indices = Array.from({ length: sink.negatives }, (_, i) => i);
+      keptNegatives = new Set(this._randomSample(indices, sink.positives));
+    }
+    const negativeCount = Math.min(sink.negatives, sink.positives);
 
-      this._shuffleArray(dpoExamples);
-      const splitIdx = Math.floor(dpoExamples.length * trainTestSplit);
+    sink.negativeGroups.forEach(({ group, date }, index) => {
+      if (!keptNegatives || keptNegatives.has(index)) this._countGroup(sink, group, date);
+    });
 
-      const trainExamples = dpoExamples.slice(0, splitIdx);
-      const testExamples = dpoExamples.slice(splitIdx);
+    const layout = this._splitLayout('kto', split);
+    const { splitCounts, repoCounts, uniqueFiles, tokenCounts } = await this._writeSplits(
+      sink.shuffle,
+      sink.positives + negativeCount,
+      layout,
+      {
+        include: ({ negative }) => negative === null || !keptNegatives || keptNegatives.has(negative),
+        tokenFields: ['prompt', 'completion'],
+        assignment: this._assignGroups(sink, layout.ratios)
+      }
+    );
+
+    const stats = {
+      totalExamples: sink.positives + negativeCount,
+      positiveExamples: sink.positives,
+      negativeExamples: negativeCount,
+      ...splitCounts,
+      uniqueFiles,
+      ...settings,
+      repos: this._repoStats(editPairCounts, repoCounts),
+      generatedAt: new Date().toISOString()
+    };
+
+    if (this.tokenizer) {
+      stats.tokens = this._tokenStats(tokenCounts, tokenLimits);
+    }
 
-      this._saveDataset(trainExamples, 'train_dpo.jsonl');
-      this._saveDataset(testExamples, 'test_dpo.jsonl');
+    this._saveStats(stats, 'kto_stats.json');
+    this.logger.info('KTO dataset generation completed successfully');
 
-      const stats = {
-        totalExamples: dpoExamples.length,
-        trainExamples: trainExamples.length,
-        testExamples: testExamples.length,
-        format: fimFormat,
-        generatedAt: new Date().toISOString()
-      };
+    return stats;
+  }
 
-      this._saveStats(stats, 'dpo_stats.json');
+  /**
+   * Queue a chosen/rejected pair built from one of the edit's positive
+   * examples, picked at random so DPO prompts aren't skewed towards the
+   * earliest cursor when KTO asked for several
+   */
+  async _collectDPO(sink, examples, editPair, tokenLimits) {
+    if (!examples.length) return;
+
+    const pref = this.rng.pick(examples);
+    const degraded = this.negativeGenerator._applyDegradation(
+      pref.completion,
+      this.negativeGenerator._chooseDegradationMethod(),
+      editPair.language
+    );
+
+    sink.generated++;
+    const [example] = this._applyTokenLimits([{
+      prompt: pref.prompt,
+      chosen: pref.completion,
+      rejected: degraded,
+      metadata: pref.metadata
+    }], ['chosen', 'rejected'], tokenLimits);
+
+    if (example) {
+      const group = this._addToGroup(sink, example.metadata);
+      await sink.shuffle.add({ example, group });
+      sink.kept++;
+    }
+  }
 
-      return stats;
-    } catch (error) {
-      this.logger.error(`DPO dataset generation failed: ${error.message}`);
-      return { error: error.message };
+  async _finishDPO(sink, { split, tokenLimits, settings, editPairCounts }) {
+    if (!sink.kept) {
+      return { error: sink.generated ? 'No DPO examples within token limits' : 'No DPO examples could be generated' };
+    }
+
+    const layout = this._splitLayout('dpo', split);
+    const { splitCounts, repoCounts, tokenCounts } = await this._writeSplits(
+      sink.shuffle,
+      sink.kept,
+      layout,
+      {
+        tokenFields: ['prompt', 'chosen', 'rejected'],
+        assignment: this._assignGroups(sink, layout.ratios)
+      }
+    );
+
+    const stats = {
+      totalExamples: sink.kept,
+      ...splitCounts,
+      ...settings,
+      repos: this._repoStats(editPairCounts, repoCounts),
+      generatedAt: new Date().toISOString()
+    };
+
+    if (this.tokenizer) {
+      stats.tokens = this._tokenStats(tokenCounts, tokenLimits);
     }
+
+    this._saveStats(stats, 'dpo_stats.json');
+    this.logger.info('DPO dataset generation completed successfully');
+
+    return stats;
   }
 
   _logBuildInfo(datasetType, fimFormat, maxCommits, startDate, endDate) {
-    this.logger.info(`Building ${datasetType} dataset from ${this.repoPath}`);
+    this.logger.info(`Building ${datasetType} dataset from ${this.repos.map(repo => repo.path).join(', ')}`);
     this.logger.info(`Format: ${fimFormat}, Max commits: ${maxCommits}`);
     if (startDate) {
       this.logger.info(`Start date: ${startDate.toISOString()}`);
@@ -209,22 +444,247 @@ export class DatasetBuilder {
     }
   }
 
+  _checkTokenLimits({ maxPromptTokens, maxCompletionTokens }) {
+    if ((maxPromptTokens || maxCompletionTokens) && !this.tokenizer) {
+      throw new Error('Token limits require a tokenizer');
+    }
+  }
+
+  _checkSplits(splitBy, { trainTestSplit, validationSplit, folds }) {
+    const validStrategies = Object.values(SplitStrategy);
+    if (!validStrategies.includes(splitBy)) {
+      throw new Error(`Invalid split strategy. Must be one of: ${validStrategies.join(', ')}`);
+    }
+    if (folds !== null && (!Number.isInteger(folds) || folds < 2)) {
+      throw new Error('Folds must be an integer of at least 2');
+    }
+    if (folds !== null && validationSplit > 0) {
+      throw new Error('A validation split cannot be combined with folds');
+    }
+    if (validationSplit < 0 || trainTestSplit + validationSplit >= 1) {
+      throw new Error('Train and validation splits must leave examples for test');
+    }
+  }
+
+  /**
+   * Where each split goes. Split i receives ratios[i] of the examples and is
+   * written to every file in files[i]. With k folds each fold is the test file
+   * of its own fold_{k} directory and part of every other fold's train file.
+   * @returns {Object} { ratios, files, names, folds }
+   */
+  _splitLayout(type, { trainTestSplit, validationSplit, folds }) {
+    if (folds) {
+      const names = Array.from({ length: folds }, (_, i) => `fold_${i + 1}`);
+      return {
+        ratios: names.map(() => 1 / folds),
+        files: names.map(fold => names.map(other => join(other, `${other === fold ? 'test' : 'train'}_${type}.jsonl`))),
+        names,
+        folds
+      };
+    }
+
+    if (validationSplit > 0) {
+      return {
+        ratios: [trainTestSplit, validationSplit, 1 - trainTestSplit - validationSplit],
+        files: [[`train_${type}.jsonl`], [`validation_${type}.jsonl`], [`test_${type}.jsonl`]],
+        names: ['train', 'validation', 'test']
+      };
+    }
+
+    return {
+      ratios: [trainTestSplit, 1 - trainTestSplit],
+      files: [[`train_${type}.jsonl`], [`test_${type}.jsonl`]],
+      names: ['train', 'test']
+    };
+  }
+
+  /**
+   * Count an example towards its split group
+   * @returns {string|null} The group key, or null for per-example splits
+   */
+  _addToGroup(sink, metadata) {
+    const group = splitGroupKey(metadata, sink.splitBy);
+    if (group !== null) this._countGroup(sink, group, metadata.commitDate);
+    return group;
+  }
+
+  _countGroup(sink, group, date) {
+    const entry = sink.groups.get(group);
+    if (entry) {
+      entry.size++;
+    } else {
+      sink.groups.set(group, { size: 1, date });
+    }
+  }
+
+  /**
+   * @returns {Map|null} Split index per group, or null for per-example splits
+   */
+  _assignGroups(sink, ratios) {
+    if (sink.splitBy === SplitStrategy.EXAMPLE) return null;
+
+    const assignment = assignGroups(sink.groups, ratios, {
+      rng: this.rng,
+      byTime: sink.splitBy === SplitStrategy.TIME
+    });
+    const used = new Set(assignment.values()).size;
+    if (used < ratios.length) {
+      this.logger.warn(`${sink.groups.size} ${sink.splitBy} group(s) filled only ${used} of ${ratios.length} splits`);
+    }
+    return assignment;
+  }
+
+  /**
+   * Record prompt and completion token counts in each example's metadata and
+   * drop examples over the limits. No-op without a tokenizer.
+   */
+  _applyTokenLimits(examples, completionFields, { maxPromptTokens, maxCompletionTokens }) {
+    if (!this.tokenizer) return examples;
+
+    const kept = [];
+    for (const example of examples) {
+      const counts = { promptTokens: this.tokenizer.count(example.prompt) };
+      for (const field of completionFields) {
+        counts[`${field}Tokens`] = this.tokenizer.count(example[field] || '');
+      }
+
+      const longestCompletion = Math.max(...completionFields.map(field => counts[`${field}Tokens`]));
+      if ((maxPromptTokens && counts.promptTokens > maxPromptTokens) ||
+          (maxCompletionTokens && longestCompletion > maxCompletionTokens)) {
+        continue;
+      }
+
+      // Copy, since positives and their negatives share a metadata object
+      example.metadata = { ...example.metadata, ...counts };
+      kept.push(example);
+    }
+
+    if (kept.length < examples.length) {
+      this.logger.debug(`Dropped ${examples.length - kept.length} examples over token limits`);
+    }
+    return kept;
+  }
+
+  _tokenStats(tokenCounts, { maxPromptTokens, maxCompletionTokens }) {
+    const stats = {
+      tokenizer: this.tokenizer.name || 'custom',
+      maxPromptTokens,
+      maxCompletionTokens
+    };
+    for (const [field, counts] of Object.entries(tokenCounts)) {
+      stats[field] = summarizeTokenCounts(counts);
+    }
+    return stats;
+  }
+
+  /**
+   * Stream shuffled records into the layout's files. Without an assignment the
+   * records fill the splits in order, so the first floor(total * ratios[0])
+   * included records go to the first split, and so on.
+   * @returns {Object} Per-split counts for stats, overall and per repository,
+   *   unique file count and per-field token counts
+   */
+  async _writeSplits(shuffle, total, layout, {
+    include = () => true,
+    tokenFields = [],
+    assignment = null
+  } = {}) {
+    const { ratios, files } = layout;
+    const boundaries = [];
+    let cumulative = 0;
+    ratios.forEach((ratio, i) => {
+      cumulative += ratio;
+      boundaries.push(i === ratios.length - 1 ? total : Math.floor(total * cumulative));
+    });
+
+    const writers = new Map();
+    for (const filepath of new Set(files.flat())) {
+      const fullPath = join(this.outputDir, filepath);
+      mkdirSync(dirname(fullPath), { recursive: true });
+      writers.set(filepath, new JsonlWriter(fullPath));
+    }
+
+    const splitSizes = ratios.map(() => 0);
+    const repoSizes = new Map();
+    const seenFiles = new Set();
+    const tokenCounts = Object.fromEntries(tokenFields.map(field => [field, []]));
+    let written = 0;
+
+    try {
+      for await (const record of shuffle.drain()) {
+        if (!include(record)) continue;
+
+        const { example } = record;
+        const index = assignment
+          ? assignment.get(record.group)
+          : boundaries.findIndex(boundary => written < boundary);
+        written++;
+        splitSizes[index]++;
+        for (const filepath of files[index]) {
+          await writers.get(filepath).write(example);
+        }
+
+        if (example.metadata) {
+          const repo = example.metadata.repo;
+          if (!repoSizes.has(repo)) repoSizes.set(repo, ratios.map(() => 0));
+          repoSizes.get(repo)[index]++;
+
+          seenFiles.add(example.metadata.filepath);
+          for (const field of tokenFields) {
+            const count = example.metadata[`${field}Tokens`];
+            if (count !== undefined) tokenCounts[field].push(count);
+          }
+        }
+      }
+    } finally {
+      await Promise.allSettled([...writers.values()].map(writer => writer.close()));
+    }
+
+    for (const writer of writers.values()) {
+      this.logger.info(`Saved ${writer.count} examples to ${writer.filepath}`);
+    }
+
+    return {
+      splitCounts: this._splitCounts(layout, splitSizes, written),
+      repoCounts: new Map([...repoSizes].map(([repo, sizes]) => {
+        const examples = sizes.reduce((sum, size) => sum + size, 0);
+        return [repo, { examples, ...this._splitCounts(layout, sizes, examples) }];
+      })),
+      uniqueFiles: seenFiles.size,
+      tokenCounts
+    };
+  }
+
+  _splitCounts({ names, folds }, splitSizes, total) {
+    if (!folds) {
+      return Object.fromEntries(names.map((name, i) => [`${name}Examples`, splitSizes[i]]));
+    }
+
+    // Every fold trains on the examples the others hold out
+    return {
+      foldExamples: names.map((_, i) => ({
+        fold: i + 1,
+        trainExamples: total - splitSizes[i],
+        testExamples: splitSizes[i]
+      }))
+    };
+  }
+
+  /**
+   * Per-repository edit pair and example counts for stats
+   */
+  _repoStats(editPairCounts, repoCounts) {
+    return Object.fromEntries(Object.entries(editPairCounts).map(([name, editPairs]) => [
+      name,
+      { editPairs, examples: 0, ...repoCounts.get(name) }
+    ]));
+  }
+
   _saveDataset(examples, filename) {
     const outputPath = join(this.outputDir, filename);
 
     try {
-      const lines = examples.map(example => {
-        const jsonObj = example.constructor.name === 'KTOExample' 
-          ? {
-              prompt: example.prompt,
-              completion: example.completion || '',
-              label: example.label,
-              metadata: example.metadata
-            }
-          : example;
-        
-        return JSON.stringify(jsonObj);
-      });
+      const lines = examples.map(example => JSON.stringify(this._toRecord(example)));
       
       writeFileSync(outputPath, lines.join('\n') + (lines.length > 0 ? '\n' : ''));
       this.logger.info(`Saved ${examples.length} examples to ${outputPath}`);
@@ -234,6 +694,17 @@ export class DatasetBuilder {
     }
   }
 
+  _toRecord(example) {
+    return example.constructor.name === 'KTOExample'
+      ? {
+          prompt: example.prompt,
+          completion: example.completion || '',
+          label: example.label,
+          metadata: example.metadata
+        }
+      : example;
+  }
+
   _saveStats(stats, filename = 'stats.json') {
     const statsPath = join(this.outputDir, filename);
 
@@ -246,15 +717,10 @@ export class DatasetBuilder {
   }
 
   _shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
+    this.rng.shuffle(array);
   }
 
   _randomSample(array, size) {
-    const shuffled = [...array];
-    this._shuffleArray(shuffled);
-    return shuffled.slice(0, size);
+    return this.rng.sample(array, size);
   }
 }
\ No newline at end of file
@@ -1,51 +1,101 @@
-import { FIMFormat } from './types.js';
+import { FIMFormat, CursorStrategy, SpanStrategy } from './types.js';
 import { ASTProcessor } from './ast-processor.js';
 import { StringRegionManager } from './utils/string-region-manager.js';
 import { FIMExampleBuilder } from './builders/fim-example-builder.js';
+import { getTemplate } from './builders/prompt-templates.js';
+import { SeededRandom } from './utils/random.js';
+import { getChangedLineRanges, mapLineRangeToOld, parseDiffHunks, formatDiffHunks } from './utils/diff-hunks.js';
 
 export class FIMTransformer {
-  constructor() {
-    this.astProcessor = new ASTProcessor();
+  constructor({ rng = new SeededRandom() } = {}) {
+    this.rng = rng;
+    this.astProcessor = new ASTProcessor({ rng });
   }
 
-  createFIMExamples(editPair, format = FIMFormat.ZED, numExamples = 3) {
+  /**
+   * Load tree-sitter grammars used for cursor selection
+   */
+  async init() {
+    await this.astProcessor.init();
+    return this;
+  }
+
+  createFIMExamples(editPair, format = FIMFormat.ZED, numExamples = 3, {
+    cursorStrategy = CursorStrategy.AST,
+    recentEdits = 0,
+    template = 'default',
+    spmRate = 0.5,
+    spanStrategy = SpanStrategy.FIXED,
+    contextBudget = null,
+    repoName = null
+  } = {}) {
     const examples = [];
     const code = editPair.after;
 
     if (!code) return examples;
 
     try {
-      const cursorPositions = this.astProcessor.selectCursorPositions(
-        code,
-        editPair.language,
-        numExamples
-      );
+      // A region the commit didn't touch would make an edit prediction with no edit
+      if (format === FIMFormat.EDIT_PREDICTION) {
+        cursorStrategy = CursorStrategy.DIFF;
+      }
+
+      const placements = cursorStrategy === CursorStrategy.DIFF
+        ? this._selectChangedPlacements(editPair, numExamples)
+        : this._selectASTPlacements(editPair, numExamples);
 
       // Create a base builder with common properties
       const baseBuilder = new FIMExampleBuilder()
         .withCode(code)
         .withFormat(format)
-        .withMetadata(editPair);
+        .withMetadata(editPair)
+        .withTemplate(template)
+        .withRandom(this.rng)
+        .withSpmRate(spmRate)
+        .withSpanStrategy(spanStrategy)
+        .withMiddleInRegion(cursorStrategy === CursorStrategy.DIFF)
+        .withContextBudget(contextBudget)
+        .withContextFiles(editPair.contextFiles, repoName)
+        .withExtraMetadata({
+          cursorStrategy,
+          template: getTemplate(template).name,
+          ...(repoName && { repo: repoName })
+        });
 
-      for (const cursorPos of cursorPositions) {
-        const validCursorPos = Math.max(0, Math.min(cursorPos, code.length - 1));
-        const editableRegion = this._determineEditableRegion(code, validCursorPos);
+      for (const placement of placements) {
+        const { cursorPos } = placement;
+        let { editableRegion } = placement;
 
         try {
           // Clone the base builder and set position-specific properties
-          const example = baseBuilder
-            .clone()
-            .withCursor(validCursorPos)
+          const builder = baseBuilder.clone().withCursor(cursorPos);
+
+          if (spanStrategy === SpanStrategy.AST) {
+            builder.withNodeSpanEnd(this.astProcessor.findNodeEnd(code, editPair.language, cursorPos));
+          }
+
+          if (format === FIMFormat.EDIT_PREDICTION) {
+            editableRegion = this._expandToLines(code, editableRegion);
+            const [beforeStart, beforeEnd] = this._alignBeforeRegion(editPair, editableRegion);
+            builder.withBefore(editPair.before, beforeStart, beforeEnd);
+          }
+
+          if (format === FIMFormat.ZED && recentEdits > 0) {
+            const events = this._collectRecentEdits(editPair, editableRegion, recentEdits);
+            builder.withRecentEdits(events).withExtraMetadata({ recentEdits: events.length });
+          }
+
+          const example = builder
             .withEditableRegion(editableRegion[0], editableRegion[1])
             .build();
-          
+
           if (example) {
             examples.push(example);
           }
         } catch (error) {
           // Skip this example if builder fails
           if (process.env.NODE_ENV !== 'test') {
-            console.warn(`Failed to build example at position ${validCursorPos}:`, error.message);
+            console.warn(`Failed to build example at position ${cursorPos}:`, error.message);
           }
         }
       }
@@ -56,6 +106,164 @@ export class FIMTransformer {
     return examples;
   }
 
+  _selectASTPlacements(editPair, numExamples) {
+    const code = editPair.after;
+    const cursorPositions = this.astProcessor.selectCursorPositions(
+      code,
+      editPair.language,
+      numExamples
+    );
+
+    return cursorPositions.map(cursorPos => {
+      const validCursorPos = Math.max(0, Math.min(cursorPos, code.length - 1));
+      return {
+        cursorPos: validCursorPos,
+        editableRegion: this._determineEditableRegion(code, validCursorPos)
+      };
+    });
+  }
+
+  /**
+   * Place cursors inside the lines the commit added, with the editable region
+   * covering the whole run of added lines so the middle is code a human wrote
+   */
+  _selectChangedPlacements(editPair, numExamples) {
+    const code = editPair.after;
+    const regions = this._changedRegions(code, editPair.diff);
+    if (!regions.length) return [];
+
+    const regionFor = pos => regions.find(([start, end]) => pos >= start && pos <= end);
+    const candidates = new Set();
+
+    // Prefer syntactic positions inside the change
+    const astPositions = this.astProcessor.selectCursorPositions(code, editPair.language, numExamples, { within: regions });
+    for (const pos of astPositions) {
+      candidates.add(pos);
+    }
+
+    // Then the first non-whitespace character of each changed line, round-robin across regions
+    const lineStarts = regions.map(([start, end]) => this._lineStartsInRegion(code, start, end));
+    const longest = Math.max(...lineStarts.map(starts => starts.length));
+    for (let i = 0; i < longest && candidates.size < numExamples; i++) {
+      for (const starts of lineStarts) {
+        if (i < starts.length) candidates.add(starts[i]);
+      }
+    }
+
+    let positions = [...candidates];
+    if (positions.length > numExamples) {
+      positions = this.rng.sample(positions, numExamples);
+    }
+
+    return positions
+      .sort((a, b) => a - b)
+      .map(cursorPos => ({ cursorPos, editableRegion: regionFor(cursorPos) }));
+  }
+
+  /**
+   * Convert the added line ranges of a diff into inclusive character regions of `code`
+   */
+  _changedRegions(code, diff) {
+    const lineOffsets = this._lineOffsets(code);
+    const regions = [];
+    for (const { startLine, endLine } of getChangedLineRanges(diff)) {
+      if (startLine > lineOffsets.length) continue;
+
+      const start = lineOffsets[startLine - 1];
+      const lastLine = Math.min(endLine, lineOffsets.length);
+      // Include the trailing newline, matching how block regions are measured
+      const end = lastLine < lineOffsets.length ? lineOffsets[lastLine] - 1 : code.length - 1;
+
+      if (end >= start && code.substring(start, end + 1).trim()) {
+        regions.push([start, end]);
+      }
+    }
+
+    return regions;
+  }
+
+  /**
+   * Find the region of `before` that an inclusive, whole-line region of `after` replaced
+   */
+  _alignBeforeRegion(editPair, [start, end]) {
+    const after = editPair.after;
+    const before = editPair.before || '';
+    const afterOffsets = this._lineOffsets(after);
+    const lineOf = pos => afterOffsets.findLastIndex(offset => offset <= pos) + 1;
+
+    const oldRange = mapLineRangeToOld(editPair.diff, lineOf(start), lineOf(end));
+    const beforeOffsets = this._lineOffsets(before);
+    const lineStart = line => line <= beforeOffsets.length ? beforeOffsets[line - 1] : before.length;
+
+    const beforeStart = lineStart(Math.max(1, oldRange.startLine));
+    if (oldRange.endLine < oldRange.startLine || !before) {
+      return [beforeStart, beforeStart - 1];
+    }
+
+    // Like the after region, include the newline that ends the last line
+    const beforeEnd = Math.min(lineStart(oldRange.endLine + 1), before.length) - 1;
+    return [beforeStart, Math.max(beforeStart - 1, beforeEnd)];
+  }
+
+  /**
+   * Recent edits to show before the excerpt: diffs from earlier commits to the
+   * same file, then the hunks of this commit that end above the editable region
+   */
+  _collectRecentEdits(editPair, [start], limit) {
+    const events = [...(editPair.recentEdits || [])];
+    const regionStartLine = this._lineOffsets(editPair.after.substring(0, start)).length;
+
+    const earlierHunks = parseDiffHunks(editPair.diff).filter(hunk => {
+      const hunkEnd = hunk.newLines === 0 ? hunk.newStart : hunk.newStart + hunk.newLines - 1;
+      return hunkEnd < regionStartLine;
+    });
+
+    if (earlierHunks.length) {
+      events.push({
+        filepath: editPair.filepath,
+        commitHash: editPair.commitHash,
+        diff: formatDiffHunks(earlierHunks)
+      });
+    }
+
+    return events.slice(-limit);
+  }
+
+  /**
+   * Grow an inclusive region so it starts and ends on line boundaries
+   */
+  _expandToLines(code, [start, end]) {
+    const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+    const newline = code.indexOf('\n', Math.max(start, end));
+    return [lineStart, newline === -1 ? code.length - 1 : newline];
+  }
+
+  _lineOffsets(code) {
+    const offsets = [0];
+    for (let i = 0; i < code.length; i++) {
+      if (code[i] === '\n') offsets.push(i + 1);
+    }
+    return offsets;
+  }
+
+  _lineStartsInRegion(code, start, end) {
+    const starts = [];
+    let lineStart = start;
+
+    while (lineStart <= end) {
+      const newline = code.indexOf('\n', lineStart);
+      const lineEnd = newline === -1 || newline > end ? end + 1 : newline;
+      const indent = code.substring(lineStart, lineEnd).search(/\S/);
+
+      if (indent !== -1) {
+        starts.push(lineStart + indent);
+      }
+      lineStart = lineEnd + 1;
+    }
+
+    return starts;
+  }
+
   _determineEditableRegion(code, cursorPos) {
     if (!code) return [0, 0];
 
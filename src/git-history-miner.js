@@ -1,31 +1,205 @@
 import { simpleGit } from 'simple-git';
+import { execFileSync } from 'node:child_process';
 import { existsSync } from 'node:fs';
-import { resolve } from 'node:path';
-import { EditPair } from './types.js';
+import { readFile } from 'node:fs/promises';
+import { resolve, join, posix } from 'node:path';
+import { EditPair, Granularity } from './types.js';
 import { QualityFilter } from './quality-filter.js';
+import { CommitCache } from './commit-cache.js';
+import { BlobReader } from './utils/blob-reader.js';
+import { mapConcurrent } from './utils/concurrency.js';
+import { parseDiffHunks, formatDiffHunks, shiftDiffHunks, splitHunkWindows } from './utils/diff-hunks.js';
+import { extractImportSpecifiers, resolveImportPath } from './utils/related-files.js';
+import { PathFilter, parseGitAttributes } from './utils/path-filter.js';
+
+// Context files are cut at a line boundary past this many characters
+const MAX_CONTEXT_FILE_CHARS = 8000;
+
+// Root commits are diffed against git's empty tree
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Fewest commits read per `git log` call while filling the commit budget
+const MIN_LOG_PAGE = 200;
+
+// simple-git's default log fields plus the committer and parents
+const LOG_FORMAT = {
+  hash: '%H',
+  parents: '%P',
+  date: '%aI',
+  message: '%s',
+  refs: '%D',
+  body: '%b',
+  author_name: '%aN',
+  author_email: '%aE',
+  committer_name: '%cN',
+  committer_email: '%cE'
+};
+
+// Dependency and CI bots, skipped unless includeBots is set
+export const BOT_PATTERNS = [/dependabot/i, /renovate/i, /github-actions/i, /\[bot\]/i];
 
 export class GitHistoryMiner {
+  /**
+   * @param {string} repoPath - Top level of a working copy (where .git may be a
+   *   directory, or a file in worktrees and submodules), or a bare repository
+   */
   constructor(repoPath) {
     this.repoPath = resolve(repoPath);
-    if (!existsSync(this.repoPath) || !existsSync(`${this.repoPath}/.git`)) {
-      throw new Error(`Invalid git repository path: ${repoPath}`);
-    }
+    this.bare = this._checkRepository(repoPath);
     
     this.git = simpleGit(this.repoPath);
     this.qualityFilter = new QualityFilter();
+    this.blobReader = new BlobReader(this.repoPath);
+  }
+
+  /**
+   * Ask git whether the path is a repository
+   * @returns {boolean} Whether it is bare
+   */
+  _checkRepository(repoPath) {
+    let output = null;
+    try {
+      if (existsSync(this.repoPath)) {
+        output = execFileSync('git', ['rev-parse', '--git-dir', '--is-bare-repository', '--show-cdup'], {
+          cwd: this.repoPath,
+          encoding: 'utf-8',
+          stdio: ['ignore', 'pipe', 'ignore']
+        });
+      }
+    } catch {
+      output = null;
+    }
+
+    const [gitDir, bare, cdup] = output ? output.split('\n') : [];
+    // Subdirectories of a repository resolve to it too, but paths in its
+    // history are relative to the top level
+    const topLevel = bare === 'true' ? resolve(this.repoPath, gitDir) === this.repoPath : !cdup;
+    if (!output || !topLevel) {
+      throw new Error(`Invalid git repository path: ${repoPath}`);
+    }
+    return bare === 'true';
+  }
+
+  async extractEditPairs(fileExtensions = null, maxCommits = 1000, startDate = null, endDate = null, {
+    recentEdits = 0,
+    contextFiles = 0,
+    cache = null,
+    jobs = 1,
+    ...historyOptions
+  } = {}) {
+    const editPairs = [];
+    for await (const editPair of this.iterateEditPairs(fileExtensions, maxCommits, startDate, endDate, {
+      contextFiles,
+      cache,
+      jobs,
+      ...historyOptions
+    })) {
+      editPairs.push(editPair);
+    }
+
+    if (recentEdits > 0) {
+      this._attachRecentEdits(editPairs, recentEdits);
+    }
+
+    // console.log(`Extracted ${editPairs.length} edit pairs`);
+    return editPairs;
   }
 
-  async extractEditPairs(fileExtensions = null, maxCommits = 1000, startDate = null, endDate = null) {
+  /**
+   * Yield edit pairs commit by commit without holding the whole history in
+   * memory. Pairs come newest commit first, except with `recentEdits`, which
+   * replays history oldest first so each pair can see the edits before it.
+   *
+   * History is read from HEAD unless `revRange` (e.g. `v1.0..v2.0`), `branch`
+   * or `all` select other revisions. Merge commits are skipped unless
+   * `includeMerges` is set, in which case they are diffed against their first
+   * parent; `firstParent` follows only the first parent of each merge.
+   *
+   * `authors` and `committers` keep only commits whose "Name <email>" matches
+   * one of the patterns, and `excludeAuthors` / `excludeCommitters` drop
+   * matches. Commits by bots are dropped unless `includeBots` is set. Patterns
+   * are JavaScript regexes, which git's --author can't take, so the log is
+   * read page by page until `maxCommits` commits have passed every filter.
+   *
+   * Files must have one of `fileExtensions` and pass `includePaths` /
+   * `excludePaths` globs. Vendored and generated paths (DEFAULT_EXCLUDES and
+   * anything the commit's .gitattributes files mark linguist-vendored or
+   * linguist-generated) are skipped unless `defaultExcludes` is false.
+   *
+   * Files added in a commit become pairs with an empty `before` when
+   * `includeAdded` is set. Files skipped for any other reason are counted by
+   * reason in `this.rejections`.
+   *
+   * With `granularity` 'hunk' each file pair is cut into one pair per cluster
+   * of nearby hunks, holding `hunkContext` lines on either side of the
+   * changes; `hunk` on the pair records where the window sits in the file.
+   *
+   * `reflog` walks the reflog instead of the commit graph, so commits that
+   * were amended or rebased away are mined alongside the ones that replaced
+   * them, each commit once. `staged` adds the changes in the index
+   * (`git diff --cached`) and `workingTree` the unstaged changes (`git diff`),
+   * as the newest pseudo-commits, whose commitHash is `staged` or
+   * `working-tree`. These are never cached since they keep changing.
+   */
+  async *iterateEditPairs(fileExtensions = null, maxCommits = 1000, startDate = null, endDate = null, {
+    recentEdits = 0,
+    contextFiles = 0,
+    cache = null,
+    jobs = 1,
+    revRange = null,
+    branch = null,
+    all = false,
+    firstParent = false,
+    includeMerges = false,
+    authors = null,
+    excludeAuthors = null,
+    committers = null,
+    excludeCommitters = null,
+    includeBots = false,
+    includePaths = null,
+    excludePaths = null,
+    defaultExcludes = true,
+    includeAdded = false,
+    granularity = Granularity.FILE,
+    hunkContext = 20,
+    reflog = false,
+    staged = false,
+    workingTree = false
+  } = {}) {
+    if (!Object.values(Granularity).includes(granularity)) {
+      throw new Error(`Invalid granularity: ${granularity}`);
+    }
+    if (!Number.isInteger(hunkContext) || hunkContext < 0) {
+      throw new Error(`Hunk context must be a non-negative integer: ${hunkContext}`);
+    }
+    if (reflog && revRange) {
+      throw new Error('Reflog mining cannot be combined with a revision range');
+    }
     if (!fileExtensions) {
       fileExtensions = ['.py', '.js', '.jsx', '.ts', '.tsx', '.java', '.cpp', '.c', '.go', '.rs'];
     }
 
-    const editPairs = [];
-    
+    const filters = {
+      authors: compilePatterns(authors, 'author'),
+      excludeAuthors: compilePatterns(excludeAuthors, 'author'),
+      committers: compilePatterns(committers, 'committer'),
+      excludeCommitters: compilePatterns(excludeCommitters, 'committer'),
+      includeBots
+    };
+
+    const commits = [];
     try {
       // console.log(`Mining repository: ${this.repoPath}`);
       
-      const logOptions = ['--no-merges', '-n', String(maxCommits)];
+      const logOptions = [];
+
+      if (!includeMerges) {
+        logOptions.push('--no-merges');
+      }
+
+      if (firstParent) {
+        logOptions.push('--first-parent');
+      }
       
       if (startDate) {
         // Format date as YYYY-MM-DD for git
@@ -38,48 +212,234 @@ export class GitHistoryMiner {
         const dateStr = endDate.toISOString().split('T')[0];
         logOptions.push(`--until=${dateStr}`);
       }
+
+      if (reflog) {
+        logOptions.push('--walk-reflogs');
+      }
+
+      if (all) {
+        logOptions.push('--all');
+      }
+
+      for (const revision of [revRange, branch]) {
+        if (!revision) continue;
+        // Keep revisions from being read as options
+        if (revision.startsWith('-')) {
+          throw new Error(`Invalid revision: ${revision}`);
+        }
+        logOptions.push(revision);
+      }
+      // Keep a branch named like a directory from being read as a path
+      logOptions.push('--');
       
-      const log = await this.git.log(logOptions);
-      const commits = log.all;
-
-      for (const commit of commits) {
-        try {
-          const pairs = await this._processCommit(commit, fileExtensions);
-          editPairs.push(...pairs);
-        } catch (error) {
-          // console.debug(`Failed to process commit ${commit.hash}: ${error.message}`);
+      // Filtered-out commits and bots don't use up the commit budget, so keep
+      // paging through the log until enough commits pass
+      const seen = new Set();
+      const pageSize = Math.max(maxCommits, MIN_LOG_PAGE);
+      for (let skip = 0; commits.length < maxCommits; skip += pageSize) {
+        const page = await this.git.log(['-n', String(pageSize), `--skip=${skip}`, ...logOptions], { format: LOG_FORMAT });
+        for (const commit of page.all) {
+          // The reflog lists a commit again each time a ref returns to it
+          if (seen.has(commit.hash)) continue;
+          seen.add(commit.hash);
+          if (commits.length < maxCommits && this._passesPeopleFilters(commit, filters)) {
+            commits.push(commit);
+          }
         }
+        if (page.all.length < pageSize) break;
       }
+
+      // Pages come newest first, and git refuses --reverse with --walk-reflogs
+      if (recentEdits > 0) commits.reverse();
     } catch (error) {
       // console.error(`Failed to mine repository: ${error.message}`);
-      // Return empty array for repos with no commits
+      // Yield nothing for repos with no commits
       if (error.message.includes('does not have any commits')) {
-        return [];
+        return;
       }
       throw error;
     }
 
-    // console.log(`Extracted ${editPairs.length} edit pairs`);
-    return editPairs;
+    const uncommitted = (await this._uncommittedChanges({ staged, workingTree }))
+      .filter(commit => this._passesPeopleFilters(commit, filters));
+    if (recentEdits > 0) {
+      commits.push(...uncommitted.reverse());
+    } else {
+      commits.unshift(...uncommitted);
+    }
+
+    const pathFilter = new PathFilter({ include: includePaths, exclude: excludePaths, defaultExcludes });
+    const hunks = granularity === Granularity.HUNK ? hunkContext : null;
+    const optionsKey = CommitCache.optionsKey({ fileExtensions, contextFiles, paths: pathFilter.key(), includeAdded, hunks });
+    this.rejections = {};
+    const history = new Map();
+    // Enough commits in flight to keep every job busy without buffering the whole log
+    const windowSize = jobs * 4;
+
+    try {
+      for (let i = 0; i < commits.length; i += windowSize) {
+        // Commits run concurrently but results are yielded in log order
+        const results = await mapConcurrent(commits.slice(i, i + windowSize), jobs, async commit => {
+          try {
+            const cached = cache && !commit.revisions ? cache : null;
+            let pairs = cached ? cached.get(commit.hash, optionsKey) : null;
+            let rejected;
+            if (pairs) {
+              rejected = cached.getRejected(commit.hash, optionsKey);
+            } else {
+              rejected = {};
+              pairs = await this._processCommit(commit, fileExtensions, { contextFiles, pathFilter, includeAdded, hunks, rejected });
+              if (cached) cached.set(commit.hash, optionsKey, pairs, rejected);
+            }
+            for (const [reason, count] of Object.entries(rejected)) {
+              this.rejections[reason] = (this.rejections[reason] || 0) + count;
+            }
+            return pairs;
+          } catch (error) {
+            // console.debug(`Failed to process commit ${commit.hash}: ${error.message}`);
+            return [];
+          }
+        });
+
+        for (const pairs of results) {
+          for (const editPair of pairs) {
+            if (recentEdits > 0) {
+              this._recordRecentEdit(editPair, history, recentEdits);
+            }
+            yield editPair;
+          }
+        }
+      }
+    } finally {
+      await this.blobReader.close();
+    }
+  }
+
+  /**
+   * Pseudo-commits for uncommitted changes, newest first. `revisions` gives the
+   * diff arguments and the revisions each side is read from: '' is the index
+   * and null the working tree.
+   */
+  async _uncommittedChanges({ staged = false, workingTree = false } = {}) {
+    if (!staged && !workingTree) return [];
+    if (this.bare) {
+      throw new Error('A bare repository has no staged or working-tree changes');
+    }
+
+    const config = async key => {
+      try {
+        return (await this.git.raw(['config', key])).trim() || null;
+      } catch {
+        return null;
+      }
+    };
+    const [name, email] = await Promise.all([config('user.name'), config('user.email')]);
+    const pseudoCommit = (hash, message, revisions) => ({
+      hash,
+      message,
+      date: new Date().toISOString(),
+      author_name: name,
+      author_email: email,
+      committer_name: name,
+      committer_email: email,
+      revisions
+    });
+
+    const changes = [];
+    if (workingTree) {
+      changes.push(pseudoCommit('working-tree', 'Uncommitted changes', { diff: [], before: '', after: null }));
+    }
+    if (staged) {
+      changes.push(pseudoCommit('staged', 'Staged changes', { diff: ['--cached', 'HEAD'], before: 'HEAD', after: '' }));
+    }
+    return changes;
+  }
+
+  _passesPeopleFilters(commit, { authors, excludeAuthors, committers, excludeCommitters, includeBots }) {
+    const author = `${commit.author_name} <${commit.author_email}>`;
+    const committer = `${commit.committer_name} <${commit.committer_email}>`;
+    const matches = (patterns, identity) => patterns.some(pattern => pattern.test(identity));
+
+    if (!includeBots && (matches(BOT_PATTERNS, author) || matches(BOT_PATTERNS, committer))) return false;
+    if (authors.length && !matches(authors, author)) return false;
+    if (committers.length && !matches(committers, committer)) return false;
+    return !matches(excludeAuthors, author) && !matches(excludeCommitters, committer);
   }
 
-  async _processCommit(commit, fileExtensions) {
+  /**
+   * Give each edit pair the diffs of the same file from the commits mined just
+   * before it, oldest first, so prompts can show what the user edited recently
+   */
+  _attachRecentEdits(editPairs, limit) {
+    const history = new Map();
+
+    // git log lists newest commits first, so walk backwards to replay history in order
+    for (let i = editPairs.length - 1; i >= 0; i--) {
+      this._recordRecentEdit(editPairs[i], history, limit);
+    }
+  }
+
+  /**
+   * Attach the edits recorded so far for the pair's file, then record its own diff
+   */
+  _recordRecentEdit(editPair, history, limit) {
+    // A renamed file keeps the history of its old path
+    const previous = history.get(editPair.filepath) ||
+      (editPair.oldPath && history.get(editPair.oldPath)) || [];
+
+    editPair.recentEdits = previous.slice(-limit);
+
+    // Hunk pairs number their diff from the window; history keeps file positions
+    let hunks = parseDiffHunks(editPair.diff);
+    if (editPair.hunk) {
+      hunks = shiftDiffHunks(hunks, editPair.hunk.beforeStart - 1, editPair.hunk.afterStart - 1);
+    }
+    previous.push({
+      filepath: editPair.filepath,
+      commitHash: editPair.commitHash,
+      diff: formatDiffHunks(hunks)
+    });
+    history.set(editPair.filepath, previous.slice(-limit));
+  }
+
+  async _processCommit(commit, fileExtensions, {
+    contextFiles = 0,
+    pathFilter = new PathFilter(),
+    includeAdded = false,
+    hunks = null,
+    rejected = {}
+  } = {}) {
     const editPairs = [];
+    const revisions = this._revisions(commit);
     
     try {
-      const diff = await this.git.diff([`${commit.hash}^`, commit.hash]);
+      const attributeRules = pathFilter.usesAttributes ? this._attributeRules(revisions.after) : async () => [];
+      const selected = async filepath => pathFilter.matches(filepath, await attributeRules(filepath));
+
+      // -M -C pair renamed and copied files with their source instead of add + delete
+      const diff = await this.git.diff(['-M', '-C', ...revisions.diff]);
       const files = this._parseGitDiff(diff);
       
       for (const file of files) {
         if (!this._shouldProcessFile(file.path, fileExtensions)) {
           continue;
         }
+        if (!(await selected(file.path))) {
+          rejected.excludedPath = (rejected.excludedPath || 0) + 1;
+          continue;
+        }
 
-        const editPair = await this._processFile(file, commit);
-        if (editPair) {
+        const editPair = await this._processFile(file, commit, { includeAdded, rejected, revisions });
+        if (editPair && hunks !== null) {
+          editPairs.push(...this._splitHunks(editPair, hunks));
+        } else if (editPair) {
           editPairs.push(editPair);
         }
       }
+
+      if (contextFiles > 0 && editPairs.length) {
+        await this._attachContextFiles(editPairs, revisions.after, files.map(file => file.path), contextFiles, selected);
+      }
     } catch (error) {
       // console.debug(`Error processing commit ${commit.hash}: ${error.message}`);
     }
@@ -87,30 +447,163 @@ export class GitHistoryMiner {
     return editPairs;
   }
 
-  async _processFile(file, commit) {
+  /**
+   * One pair per cluster of nearby hunks. Clusters that only change
+   * whitespace are dropped, as whole files are.
+   */
+  _splitHunks(editPair, contextLines) {
+    return splitHunkWindows(editPair.before, editPair.after, editPair.diff, contextLines)
+      .filter(window => this.qualityFilter.isSemanticChange(window.diff))
+      .map(({ before, after, diff, range }) => new EditPair({ ...editPair, before, after, diff, hunk: range }));
+  }
+
+  /**
+   * Look up the .gitattributes rules that apply to a path at a revision: those
+   * of the root and of every directory above the path, deepest last so it
+   * wins, as git applies them. Each file is read once per revision.
+   * @returns {Function} Async filepath => rules for PathFilter.matches
+   */
+  _attributeRules(revision) {
+    const files = new Map();
+    const rulesIn = dir => {
+      if (!files.has(dir)) {
+        const filepath = dir ? `${dir}/.gitattributes` : '.gitattributes';
+        files.set(dir, this._getFileContent(revision, filepath).then(content => parseGitAttributes(content, dir)));
+      }
+      return files.get(dir);
+    };
+
+    return async filepath => {
+      const parts = filepath.split('/').slice(0, -1);
+      const dirs = [''].concat(parts.map((_, i) => parts.slice(0, i + 1).join('/')));
+      return (await Promise.all(dirs.map(rulesIn))).flat();
+    };
+  }
+
+  /**
+   * Diff arguments and the revisions each side of a commit is read from
+   */
+  _revisions(commit) {
+    if (commit.revisions) return commit.revisions;
+
+    // ^ is the first parent, so merges show what they brought into the branch
+    const parent = commit.parents === '' ? EMPTY_TREE : `${commit.hash}^`;
+    return { diff: [parent, commit.hash], before: parent, after: commit.hash };
+  }
+
+  /**
+   * Give each edit pair up to `limit` related files as they were at the commit:
+   * files it imports, then files changed in the same commit, then files in the
+   * same directory
+   */
+  async _attachContextFiles(editPairs, revision, changedPaths, limit, selected = async () => true) {
+    const tree = await this._listFiles(revision);
+    const contents = new Map();
+
+    for (const editPair of editPairs) {
+      const candidates = [];
+      const add = (filepath, reason) => {
+        if (filepath && filepath !== editPair.filepath && tree.has(filepath) &&
+            !candidates.some(candidate => candidate.filepath === filepath)) {
+          candidates.push({ filepath, reason });
+        }
+      };
+
+      for (const specifier of extractImportSpecifiers(editPair.after, editPair.language)) {
+        add(resolveImportPath(editPair.filepath, specifier, editPair.language, tree), 'import');
+      }
+      for (const filepath of changedPaths) {
+        if (this._detectLanguage(filepath) !== 'unknown') add(filepath, 'co-change');
+      }
+      const dir = posix.dirname(editPair.filepath);
+      for (const filepath of [...tree].sort()) {
+        if (posix.dirname(filepath) === dir && this._detectLanguage(filepath) !== 'unknown') {
+          add(filepath, 'sibling');
+        }
+      }
+
+      const related = [];
+      for (const candidate of candidates) {
+        if (related.length >= limit) break;
+        if (!(await selected(candidate.filepath))) continue;
+
+        if (!contents.has(candidate.filepath)) {
+          contents.set(candidate.filepath, await this._getFileContent(revision, candidate.filepath));
+        }
+        const content = contents.get(candidate.filepath);
+        if (content && content.trim()) {
+          related.push({ ...candidate, content: this._truncateContext(content) });
+        }
+      }
+
+      editPair.contextFiles = related;
+    }
+  }
+
+  async _listFiles(revision) {
     try {
+      // The index stands in for the working tree too, leaving out untracked files
+      const output = await this.git.raw(revision ? ['ls-tree', '-r', '--name-only', revision] : ['ls-files']);
+      return new Set(output.split('\n').filter(Boolean));
+    } catch {
+      return new Set();
+    }
+  }
+
+  _truncateContext(content) {
+    if (content.length <= MAX_CONTEXT_FILE_CHARS) return content;
+    const lastNewline = content.lastIndexOf('\n', MAX_CONTEXT_FILE_CHARS);
+    return content.substring(0, lastNewline > 0 ? lastNewline + 1 : MAX_CONTEXT_FILE_CHARS);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.includeAdded] - Turn added files into pairs with an empty before
+   * @param {Object} [options.rejected] - Counts of skipped files by reason, updated in place
+   * @param {Object} [options.revisions] - Revisions to read the before and after from,
+   *   for uncommitted changes; defaults to the commit and its first parent (the
+   *   empty tree for root commits)
+   */
+  async _processFile(file, commit, { includeAdded = false, rejected = {}, revisions = null } = {}) {
+    const { before: beforeRevision, after: afterRevision } = revisions || this._revisions(commit);
+    const reject = reason => {
+      rejected[reason] = (rejected[reason] || 0) + 1;
+      return null;
+    };
+
+    try {
+      if (file.status === 'deleted') {
+        return reject('deleted');
+      }
+      if (file.status === 'added' && !includeAdded) {
+        return reject('added');
+      }
+
       const language = this._detectLanguage(file.path);
       if (language === 'unknown') {
-        return null;
+        return reject('unknownLanguage');
       }
 
-      const before = await this._getFileContent(commit.hash + '^', file.path);
-      const after = await this._getFileContent(commit.hash, file.path);
+      const added = file.status === 'added';
+      const [before, after] = await Promise.all([
+        added ? '' : this._getFileContent(beforeRevision, file.oldPath || file.path),
+        this._getFileContent(afterRevision, file.path)
+      ]);
       
-      if (!before || !after) {
-        return null;
+      if ((!added && !before) || !after) {
+        return reject('missingContent');
       }
 
       if (!this.qualityFilter.passesQualityChecks(after, language)) {
-        return null;
+        return reject('quality');
       }
 
-      if (!this.qualityFilter.passesQualityChecks(before, language)) {
-        return null;
+      if (!added && !this.qualityFilter.passesQualityChecks(before, language)) {
+        return reject('quality');
       }
 
       if (!this.qualityFilter.isSemanticChange(file.diff)) {
-        return null;
+        return reject('nonSemantic');
       }
 
       return new EditPair({
@@ -118,20 +611,30 @@ export class GitHistoryMiner {
         after,
         diff: file.diff,
         filepath: file.path,
+        oldPath: file.oldPath,
+        changeType: file.status,
         commitHash: commit.hash,
         commitMessage: (commit.message || '').substring(0, 200),
+        commitDate: commit.date || null,
+        author: commit.author_name || null,
+        authorEmail: commit.author_email || null,
         language
       });
     } catch (error) {
       // console.debug(`Failed to process file ${file.path}: ${error.message}`);
-      return null;
+      return reject('error');
     }
   }
 
+  /**
+   * @param {string|null} revision - Commit-ish, '' for the index, or null for the working tree
+   */
   async _getFileContent(revision, filepath) {
     try {
-      const content = await this.git.show([`${revision}:${filepath}`]);
-      return content;
+      if (revision === null) {
+        return await readFile(join(this.repoPath, filepath), 'utf-8');
+      }
+      return await this.blobReader.read(revision, filepath);
     } catch {
       return null;
     }
@@ -150,13 +653,25 @@ export class GitHistoryMiner {
           files.push(currentFile);
         }
         
-        const match = line.match(/b\/(.+)$/);
+        const match = line.match(/ b\/(.+)$/);
         currentFile = {
           path: match ? match[1] : '',
+          oldPath: null,
+          status: 'modified',
           diff: ''
         };
         currentDiff = [line];
       } else if (currentFile) {
+        // Renamed or copied files are read from their source path in the parent
+        const source = line.match(/^(rename|copy) from (.+)$/);
+        if (source) {
+          currentFile.oldPath = source[2];
+          currentFile.status = source[1] === 'rename' ? 'renamed' : 'copied';
+        } else if (line.startsWith('new file mode')) {
+          currentFile.status = 'added';
+        } else if (line.startsWith('deleted file mode')) {
+          currentFile.status = 'deleted';
+        }
         currentDiff.push(line);
       }
     }
@@ -204,4 +719,21 @@ export class GitHistoryMiner {
     }
     return 'unknown';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Compile name/email patterns, matched case-insensitively
+ * @param {Array|null} patterns - Regex sources or RegExps
+ * @param {string} kind - 'author' or 'committer', for errors
+ * @returns {Array} RegExps
+ */
+function compilePatterns(patterns, kind) {
+  return (patterns || []).map(pattern => {
+    if (pattern instanceof RegExp) return pattern;
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid ${kind} pattern ${pattern}: ${error.message}`);
+    }
+  });
+}
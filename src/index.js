@@ -1,7 +1,10 @@
 #!/usr/bin/env node
 
 import { DatasetBuilder } from './dataset-builder.js';
-import { FIMFormat } from './types.js';
+import { FIMFormat, CursorStrategy, SpanStrategy, SplitStrategy, Granularity } from './types.js';
+import { resolveTemplate, listTemplates } from './builders/prompt-templates.js';
+import { loadTokenizer } from './utils/tokenizer.js';
+import { loadRepoManifest } from './repo-manifest.js';
 import { parseArgs } from 'node:util';
 import { resolve } from 'node:path';
 import { existsSync } from 'node:fs';
@@ -10,7 +13,16 @@ const options = {
   'repo': {
     type: 'string',
     short: 'r',
-    description: 'Path to git repository'
+    multiple: true,
+    description: 'Path to git repository (repeat for a combined dataset)'
+  },
+  'manifest': {
+    type: 'string',
+    description: 'JSON file listing repositories with per-repo settings'
+  },
+  'max-per-repo': {
+    type: 'string',
+    description: 'Maximum edit pairs taken from each repository'
   },
   'output': {
     type: 'string',
@@ -26,7 +38,62 @@ const options = {
   'format': {
     type: 'string',
     default: 'ZED',
-    description: 'FIM format (PSM, SPM, ZED, MIXED)'
+    description: 'FIM format (PSM, SPM, ZED, MIXED, EDIT_PREDICTION)'
+  },
+  'template': {
+    type: 'string',
+    default: 'default',
+    description: 'Prompt template name or JSON template file'
+  },
+  'span': {
+    type: 'string',
+    default: 'fixed',
+    description: 'PSM/SPM middle span (fixed, random, line, block, ast)'
+  },
+  'spm-rate': {
+    type: 'string',
+    default: '0.5',
+    description: 'Fraction of MIXED examples built as SPM'
+  },
+  'seed': {
+    type: 'string',
+    description: 'Seed for reproducible output'
+  },
+  'cursor-strategy': {
+    type: 'string',
+    default: 'ast',
+    description: 'Cursor placement (ast, diff)'
+  },
+  'recent-edits': {
+    type: 'string',
+    default: '0',
+    description: 'Recent edits to show in ZED prompts'
+  },
+  'context-files': {
+    type: 'string',
+    default: '0',
+    description: 'Related files rendered ahead of PSM/SPM prompts'
+  },
+  'max-context': {
+    type: 'string',
+    description: 'Maximum characters (or tokens with --tokenizer) of prefix plus suffix kept in prompts'
+  },
+  'context-bias': {
+    type: 'string',
+    default: '0.5',
+    description: 'Share of the context budget given to the prefix'
+  },
+  'tokenizer': {
+    type: 'string',
+    description: 'Local HuggingFace tokenizer.json (or its directory) for token counts'
+  },
+  'max-prompt-tokens': {
+    type: 'string',
+    description: 'Drop examples whose prompt exceeds this many tokens'
+  },
+  'max-completion-tokens': {
+    type: 'string',
+    description: 'Drop examples whose completion exceeds this many tokens'
   },
   'dataset-type': {
     type: 'string',
@@ -38,6 +105,20 @@ const options = {
     default: '0.9',
     description: 'Train/test split ratio'
   },
+  'validation-split': {
+    type: 'string',
+    default: '0',
+    description: 'Fraction of examples held out for validation'
+  },
+  'folds': {
+    type: 'string',
+    description: 'Write k cross-validation folds instead of one split'
+  },
+  'split-by': {
+    type: 'string',
+    default: 'example',
+    description: 'Keep examples sharing a group on one side of the split (example, file, commit, time, repo)'
+  },
   'extensions': {
     type: 'string',
     multiple: true,
@@ -51,6 +132,100 @@ const options = {
     type: 'string',
     description: 'End date for commit range (ISO format: YYYY-MM-DD)'
   },
+  'rev-range': {
+    type: 'string',
+    description: 'Mine commits in a revision range such as v1.0..v2.0'
+  },
+  'branch': {
+    type: 'string',
+    description: 'Mine this branch instead of HEAD'
+  },
+  'all': {
+    type: 'boolean',
+    description: 'Mine commits reachable from any ref'
+  },
+  'first-parent': {
+    type: 'boolean',
+    description: 'Follow only the first parent of merge commits'
+  },
+  'include-merges': {
+    type: 'boolean',
+    description: 'Mine merge commits, diffed against their first parent'
+  },
+  'author': {
+    type: 'string',
+    multiple: true,
+    description: 'Only mine commits whose author name/email matches this regex'
+  },
+  'exclude-author': {
+    type: 'string',
+    multiple: true,
+    description: 'Skip commits whose author name/email matches this regex'
+  },
+  'committer': {
+    type: 'string',
+    multiple: true,
+    description: 'Only mine commits whose committer name/email matches this regex'
+  },
+  'exclude-committer': {
+    type: 'string',
+    multiple: true,
+    description: 'Skip commits whose committer name/email matches this regex'
+  },
+  'include-bots': {
+    type: 'boolean',
+    description: 'Mine commits by dependabot, renovate, github-actions and other bots'
+  },
+  'include': {
+    type: 'string',
+    multiple: true,
+    description: 'Only mine files matching this glob'
+  },
+  'exclude': {
+    type: 'string',
+    multiple: true,
+    description: 'Skip files matching this glob'
+  },
+  'no-default-excludes': {
+    type: 'boolean',
+    description: 'Also mine vendored and generated paths'
+  },
+  'include-added': {
+    type: 'boolean',
+    description: 'Turn files added in a commit into write-from-scratch examples'
+  },
+  'reflog': {
+    type: 'boolean',
+    description: 'Walk the reflog to include amended and rebased-away commits'
+  },
+  'staged': {
+    type: 'boolean',
+    description: 'Also mine staged changes (git diff --cached)'
+  },
+  'working-tree': {
+    type: 'boolean',
+    description: 'Also mine unstaged working-tree changes (git diff)'
+  },
+  'granularity': {
+    type: 'string',
+    default: 'file',
+    description: 'Edit pair unit: file, or hunk for one pair per cluster of nearby hunks'
+  },
+  'hunk-context': {
+    type: 'string',
+    default: '20',
+    description: 'Lines kept on either side of the changes with --granularity hunk'
+  },
+  'jobs': {
+    type: 'string',
+    short: 'j',
+    default: '1',
+    description: 'Commits to process concurrently'
+  },
+  'no-cache': {
+    type: 'boolean',
+    description: 'Mine every commit again without reading or writing the commit cache'
+  },
   'help': {
     type: 'boolean',
     short: 'h',
@@ -91,18 +266,83 @@ function showHelp() {
 FIM Dataset Generator - Generate training datasets from git repositories
 
 Usage:
-  fim-dataset-generator <repo-path> [options]
+  fim-dataset-generator <repo-path>... [options]
 
 Options:
-  -r, --repo <path>           Path to git repository
+  -r, --repo <path>           Path to git repository, working copy or bare
+                              mirror; several paths build one combined dataset
+  --manifest <file>           JSON list of repositories with per-repo weight,
+                              branch, extensions and maxEditPairs
+  --max-per-repo <n>          Maximum edit pairs from each repository, scaled
+                              by its weight (default: no cap)
   -o, --output <dir>          Output directory (default: ./dataset)
   --max-commits <n>           Maximum commits to process (default: 1000)
-  --format <type>             FIM format: PSM, SPM, ZED, MIXED (default: ZED)
+  --format <type>             FIM format: PSM, SPM, ZED, MIXED,
+                              EDIT_PREDICTION (default: ZED)
+  --template <name|file>      PSM/SPM token template: default, codellama, deepseek,
+                              starcoder, qwen, or a JSON file (default: default)
+  --span <strategy>           PSM/SPM middle span: fixed, random, line, block, ast
+                              (default: fixed)
+  --spm-rate <rate>           Fraction of MIXED examples built as SPM (default: 0.5)
+  --seed <n>                  Seed for byte-identical reruns (default: random)
+  --cursor-strategy <type>    Cursor placement: ast, diff (default: ast)
+  --recent-edits <n>          Prior edits to the file shown in ZED prompts (default: 0)
+  --context-files <n>         Related files (imports, co-changed, siblings) shown
+                              ahead of PSM/SPM prompts (default: 0)
+  --max-context <n>           Trim prompt prefix + suffix to n characters, or
+                              n tokens with --tokenizer (default: whole file)
+  --context-bias <ratio>      Share of --max-context kept before the cursor
+                              (default: 0.5)
+  --tokenizer <path>          tokenizer.json (or model directory) used for token
+                              counts, limits and histograms
+  --max-prompt-tokens <n>     Drop examples with longer prompts (needs --tokenizer)
+  --max-completion-tokens <n> Drop examples with longer completions
+                              (needs --tokenizer)
   --dataset-type <type>       Dataset type: kto, dpo, both (default: kto)
   --split <ratio>             Train/test split ratio (default: 0.9)
+  --validation-split <ratio>  Fraction held out for a validation split, taken
+                              from what --split leaves for test (default: 0)
+  --folds <k>                 Write k fold_{n} directories, each testing on one
+                              fold and training on the rest (ignores --split)
+  --split-by <key>            Keep each file, commit or repo on one side of the
+                              split, or put the newest commits in test: example,
+                              file, commit, time, repo (default: example)
   --extensions <ext>...       File extensions to process
   --start-date <date>         Start date for commits (YYYY-MM-DD)
   --end-date <date>           End date for commits (YYYY-MM-DD)
+  --rev-range <range>         Mine commits in a revision range, e.g. v1.0..v2.0
+  --branch <name>             Mine this branch instead of HEAD, without
+                              checking it out
+  --all                       Mine commits reachable from any branch or tag
+  --first-parent              Follow only the first parent of merge commits
+  --include-merges            Mine merge commits, diffed against their first
+                              parent
+  --author <regex>...         Only mine commits whose author "Name <email>"
+                              matches (case-insensitive)
+  --exclude-author <regex>... Skip commits whose author matches
+  --committer <regex>...      Only mine commits whose committer matches
+  --exclude-committer <regex>...
+                              Skip commits whose committer matches
+  --include-bots              Keep commits by dependabot, renovate,
+                              github-actions and other [bot] accounts
+  --include <glob>...         Only mine files matching one of these globs
+  --exclude <glob>...         Skip files matching any of these globs
+  --no-default-excludes       Also mine node_modules, vendor, third_party, dist,
+                              build, migrations, *.min.js and files marked
+                              linguist-generated/vendored in .gitattributes
+  --include-added             Turn files added in a commit into write-from-
+                              scratch examples with an empty before
+  --reflog                    Walk the reflog instead of the commit graph, so
+                              amended and rebased-away commits are mined too
+  --staged                    Also mine staged changes (git diff --cached)
+  --working-tree              Also mine unstaged changes (git diff)
+  --granularity <unit>        Edit pair unit: file, or hunk to cut each file
+                              into windows around nearby hunks (default: file)
+  --hunk-context <n>          Lines kept on either side of the changes with
+                              --granularity hunk (default: 20)
+  -j, --jobs <n>              Commits to process concurrently (default: 1)
+  --no-cache                  Mine every commit again instead of reusing the
+                              output directory's commit cache
   -h, --help                  Show this help
 
 Examples:
@@ -115,6 +355,66 @@ Examples:
   # Generate both datasets with custom settings
   fim-dataset-generator /path/to/repo --dataset-type both --max-commits 500
 
+  # Generate PSM prompts with CodeLlama's FIM tokens
+  fim-dataset-generator /path/to/repo --format PSM --template codellama
+
+  # Reproducible MIXED dataset with 30% SPM examples
+  fim-dataset-generator /path/to/repo --format MIXED --spm-rate 0.3 --seed 42
+
+  # Place cursors only inside the lines each commit added
+  fim-dataset-generator /path/to/repo --cursor-strategy diff
+
+  # Add up to 3 related files as repo-level context
+  fim-dataset-generator /path/to/repo --format PSM --template qwen --context-files 3
+
+  # Keep at most 8000 characters of context, favoring the prefix
+  fim-dataset-generator /path/to/repo --max-context 8000 --context-bias 0.7
+
+  # Count tokens with a local model tokenizer and cap prompt length
+  fim-dataset-generator /path/to/repo --tokenizer ./models/qwen/tokenizer.json \
+    --max-context 4096 --max-prompt-tokens 4200
+
+  # Mine a large repository with 8 concurrent workers
+  fim-dataset-generator /path/to/repo --max-commits 20000 --jobs 8
+
+  # Run again into the same output directory: only commits added since the
+  # last run (or left over by an interrupted one) are mined
+  fim-dataset-generator /path/to/repo --output ./dataset
+
+  # Hold out the newest commits for evaluation
+  fim-dataset-generator /path/to/repo --split-by time --split 0.8
+
+  # 80/10/10 train/validation/test split with no file in more than one split
+  fim-dataset-generator /path/to/repo --split 0.8 --validation-split 0.1 --split-by file
+
+  # 5-fold cross-validation grouped by commit
+  fim-dataset-generator /path/to/repo --folds 5 --split-by commit
+
+  # Combine several repositories, taking at most 2000 edit pairs from each
+  fim-dataset-generator ./api ./web ./monorepo --max-per-repo 2000
+
+  # Repositories, weights and branches from a manifest
+  fim-dataset-generator --manifest repos.json
+
+  # Personal data from your own work in progress, including amended commits
+  fim-dataset-generator /path/to/repo --reflog --staged --working-tree \
+    --author "$(git config user.email)"
+
+  # Short edit pairs: 10 lines around each cluster of changes
+  fim-dataset-generator /path/to/repo --granularity hunk --hunk-context 10
+
+  # Mine the fixes backported to a release branch since v1.0
+  fim-dataset-generator /path/to/repo --rev-range v1.0..release/1.x
+
+  # One example set per merged pull request on the mainline
+  fim-dataset-generator /path/to/repo --first-parent --include-merges
+
+  # Only commits by two engineers, by name or email
+  fim-dataset-generator /path/to/repo --author 'Ada Lovelace' --author '@example\.com>$'
+
+  # Only library code, without tests
+  fim-dataset-generator /path/to/repo --include 'src/**' --exclude '*.test.js' --exclude '__tests__'
+
   # Generate dataset for specific date range
   fim-dataset-generator /path/to/repo --start-date 2024-01-01 --end-date 2024-06-30
 `);
@@ -132,17 +432,39 @@ async function main() {
     process.exit(0);
   }
 
-  const repoPath = values.repo || positionals[0];
-  if (!repoPath) {
-    console.error('Error: Repository path is required');
-    showHelp();
-    process.exit(1);
+  let repos;
+  if (values.manifest) {
+    try {
+      repos = loadRepoManifest(resolve(values.manifest));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  } else {
+    const repoPaths = [...(values.repo || []), ...positionals];
+    if (!repoPaths.length) {
+      console.error('Error: Repository path is required');
+      showHelp();
+      process.exit(1);
+    }
+    repos = repoPaths.map(repoPath => resolve(repoPath));
   }
 
-  const resolvedPath = resolve(repoPath);
-  if (!existsSync(resolvedPath)) {
-    console.error(`Error: Repository path does not exist: ${resolvedPath}`);
-    process.exit(1);
+  const resolvedPaths = repos.map(repo => typeof repo === 'string' ? repo : repo.path);
+  for (const resolvedPath of resolvedPaths) {
+    if (!existsSync(resolvedPath)) {
+      console.error(`Error: Repository path does not exist: ${resolvedPath}`);
+      process.exit(1);
+    }
+  }
+
+  let maxEditPairsPerRepo = null;
+  if (values['max-per-repo'] !== undefined) {
+    maxEditPairsPerRepo = parseInt(values['max-per-repo'], 10);
+    if (isNaN(maxEditPairsPerRepo) || maxEditPairsPerRepo <= 0) {
+      console.error('Error: max-per-repo must be a positive number');
+      process.exit(1);
+    }
   }
 
   const maxCommits = parseInt(values['max-commits'], 10);
@@ -158,13 +480,173 @@ async function main() {
     process.exit(1);
   }
 
+  const validationSplit = parseFloat(values['validation-split']);
+  if (isNaN(validationSplit) || validationSplit < 0 || validationSplit >= 1) {
+    console.error('Error: validation-split must be between 0 and 1');
+    process.exit(1);
+  }
+
+  if (split + validationSplit >= 1) {
+    console.error('Error: split and validation-split must leave examples for test');
+    process.exit(1);
+  }
+
+  let folds = null;
+  if (values.folds !== undefined) {
+    folds = Number(values.folds);
+    if (!Number.isInteger(folds) || folds < 2) {
+      console.error('Error: folds must be an integer of at least 2');
+      process.exit(1);
+    }
+    if (validationSplit > 0) {
+      console.error('Error: validation-split cannot be combined with folds');
+      process.exit(1);
+    }
+  }
+
   const format = FIMFormat[values.format.toUpperCase()];
   if (!format) {
     console.error(`Error: Invalid format ${values.format}`);
-    console.error('Valid formats: PSM, SPM, ZED, MIXED');
+    console.error('Valid formats: PSM, SPM, ZED, MIXED, EDIT_PREDICTION');
+    process.exit(1);
+  }
+
+  const spanStrategy = values.span.toLowerCase();
+  if (!Object.values(SpanStrategy).includes(spanStrategy)) {
+    console.error('Error: span must be fixed, random, line, block, or ast');
+    process.exit(1);
+  }
+
+  const spmRate = parseFloat(values['spm-rate']);
+  if (isNaN(spmRate) || spmRate < 0 || spmRate > 1) {
+    console.error('Error: spm-rate must be between 0 and 1');
+    process.exit(1);
+  }
+
+  let seed = null;
+  if (values.seed !== undefined) {
+    seed = Number(values.seed);
+    if (!Number.isInteger(seed) || seed < 0) {
+      console.error('Error: seed must be a non-negative integer');
+      process.exit(1);
+    }
+  }
+
+  let template;
+  try {
+    template = resolveTemplate(values.template);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(`Valid templates: ${listTemplates().join(', ')}`);
+    process.exit(1);
+  }
+
+  const recentEdits = parseInt(values['recent-edits'], 10);
+  if (isNaN(recentEdits) || recentEdits < 0) {
+    console.error('Error: recent-edits must be a non-negative number');
+    process.exit(1);
+  }
+
+  const cursorStrategy = values['cursor-strategy'].toLowerCase();
+  if (!Object.values(CursorStrategy).includes(cursorStrategy)) {
+    console.error('Error: cursor-strategy must be ast or diff');
+    process.exit(1);
+  }
+
+  const contextFiles = parseInt(values['context-files'], 10);
+  if (isNaN(contextFiles) || contextFiles < 0) {
+    console.error('Error: context-files must be a non-negative number');
     process.exit(1);
   }
 
+  let maxContext = null;
+  if (values['max-context'] !== undefined) {
+    maxContext = parseInt(values['max-context'], 10);
+    if (isNaN(maxContext) || maxContext <= 0) {
+      console.error('Error: max-context must be a positive number');
+      process.exit(1);
+    }
+  }
+
+  const contextBias = parseFloat(values['context-bias']);
+  if (isNaN(contextBias) || contextBias < 0 || contextBias > 1) {
+    console.error('Error: context-bias must be between 0 and 1');
+    process.exit(1);
+  }
+
+  let tokenizer = null;
+  if (values.tokenizer) {
+    try {
+      tokenizer = loadTokenizer(resolve(values.tokenizer));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  const tokenLimits = {};
+  for (const [flag, key] of [['max-prompt-tokens', 'maxPromptTokens'], ['max-completion-tokens', 'maxCompletionTokens']]) {
+    if (values[flag] === undefined) continue;
+    const limit = parseInt(values[flag], 10);
+    if (isNaN(limit) || limit <= 0) {
+      console.error(`Error: ${flag} must be a positive number`);
+      process.exit(1);
+    }
+    if (!tokenizer) {
+      console.error(`Error: ${flag} requires --tokenizer`);
+      process.exit(1);
+    }
+    tokenLimits[key] = limit;
+  }
+
+  const jobs = parseInt(values.jobs, 10);
+  if (isNaN(jobs) || jobs <= 0) {
+    console.error('Error: jobs must be a positive number');
+    process.exit(1);
+  }
+
+  const splitBy = values['split-by'].toLowerCase();
+  if (!Object.values(SplitStrategy).includes(splitBy)) {
+    console.error('Error: split-by must be example, file, commit, time, or repo');
+    process.exit(1);
+  }
+
+  if (values.reflog && values['rev-range']) {
+    console.error('Error: reflog cannot be combined with rev-range');
+    process.exit(1);
+  }
+
+  const granularity = values.granularity.toLowerCase();
+  if (!Object.values(Granularity).includes(granularity)) {
+    console.error('Error: granularity must be file or hunk');
+    process.exit(1);
+  }
+
+  const hunkContext = parseInt(values['hunk-context'], 10);
+  if (isNaN(hunkContext) || hunkContext < 0) {
+    console.error('Error: hunk-context must be a non-negative number');
+    process.exit(1);
+  }
+
+  const peopleFilters = {};
+  for (const [flag, key] of [
+    ['author', 'authors'],
+    ['exclude-author', 'excludeAuthors'],
+    ['committer', 'committers'],
+    ['exclude-committer', 'excludeCommitters']
+  ]) {
+    if (!values[flag]) continue;
+    for (const pattern of values[flag]) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        console.error(`Error: Invalid ${flag} pattern: ${error.message}`);
+        process.exit(1);
+      }
+    }
+    peopleFilters[key] = values[flag];
+  }
+
   const datasetType = values['dataset-type'].toLowerCase();
   if (!['kto', 'dpo', 'both'].includes(datasetType)) {
     console.error('Error: dataset-type must be kto, dpo, or both');
@@ -173,49 +655,77 @@ async function main() {
 
   const { startDate, endDate } = parseDateRange(values['start-date'], values['end-date']);
 
-  console.log(`Starting dataset generation from ${resolvedPath}`);
+  console.log(`Starting dataset generation from ${resolvedPaths.join(', ')}`);
   console.log(`Output directory: ${values.output}`);
   console.log(`Format: ${values.format}`);
   console.log('-'.repeat(50));
 
   try {
-    const builder = new DatasetBuilder(resolvedPath, values.output);
-
-    if (datasetType === 'kto' || datasetType === 'both') {
+    const builder = new DatasetBuilder(repos.length === 1 ? repos[0] : repos, values.output, {
+      seed,
+      tokenizer,
+      cache: !values['no-cache']
+    });
+
+    const buildOptions = {
+      maxCommits,
+      fimFormat: format,
+      trainTestSplit: split,
+      validationSplit,
+      folds,
+      splitBy,
+      fileExtensions: values.extensions,
+      startDate,
+      endDate,
+      cursorStrategy,
+      recentEdits,
+      template,
+      spmRate,
+      spanStrategy,
+      maxContext,
+      contextBias,
+      contextFiles,
+      jobs,
+      maxEditPairsPerRepo,
+      revRange: values['rev-range'] || null,
+      branch: values.branch || null,
+      all: Boolean(values.all),
+      firstParent: Boolean(values['first-parent']),
+      includeMerges: Boolean(values['include-merges']),
+      includeBots: Boolean(values['include-bots']),
+      includePaths: values.include || null,
+      excludePaths: values.exclude || null,
+      defaultExcludes: !values['no-default-excludes'],
+      includeAdded: Boolean(values['include-added']),
+      granularity,
+      hunkContext,
+      reflog: Boolean(values.reflog),
+      staged: Boolean(values.staged),
+      workingTree: Boolean(values['working-tree']),
+      ...peopleFilters,
+      ...tokenLimits
+    };
+
+    let results;
+    if (datasetType === 'both') {
+      // One pass over the history feeds both datasets
+      console.log('\nGenerating KTO and DPO datasets...');
+      results = await builder.buildDatasets(buildOptions);
+    } else if (datasetType === 'kto') {
       console.log('\nGenerating KTO dataset...');
-      const stats = await builder.buildKTODataset({
-        maxCommits,
-        fimFormat: format,
-        trainTestSplit: split,
-        fileExtensions: values.extensions,
-        startDate,
-        endDate
-      });
-
-      if (!stats.error) {
-        console.log('\nKTO Dataset Statistics:');
-        console.log(JSON.stringify(stats, null, 2));
-      } else {
-        console.error(`KTO generation failed: ${stats.error}`);
-      }
-    }
-
-    if (datasetType === 'dpo' || datasetType === 'both') {
+      results = { kto: await builder.buildKTODataset(buildOptions) };
+    } else {
       console.log('\nGenerating DPO dataset...');
-      const stats = await builder.buildDPODataset({
-        maxCommits,
-        fimFormat: format,
-        trainTestSplit: split,
-        fileExtensions: values.extensions,
-        startDate,
-        endDate
-      });
+      results = { dpo: await builder.buildDPODataset(buildOptions) };
+    }
 
+    for (const [type, stats] of Object.entries(results)) {
+      const name = type.toUpperCase();
       if (!stats.error) {
-        console.log('\nDPO Dataset Statistics:');
+        console.log(`\n${name} Dataset Statistics:`);
         console.log(JSON.stringify(stats, null, 2));
       } else {
-        console.error(`DPO generation failed: ${stats.error}`);
+        console.error(`${name} generation failed: ${stats.error}`);
       }
     }
 
@@ -1,7 +1,9 @@
 import { KTOExample } from './types.js';
+import { SeededRandom } from './utils/random.js';
 
 export class NegativeExampleGenerator {
-  constructor() {
+  constructor({ rng = new SeededRandom() } = {}) {
+    this.rng = rng;
     this.degradationWeights = {
       'subtle_bugs': 0.3,
       'incomplete': 0.25,
@@ -80,7 +82,7 @@ export class NegativeExampleGenerator {
     const weights = Object.values(this.degradationWeights);
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
 
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
 
     for (let i = 0; i < methods.length; i++) {
       random -= weights[i];
@@ -145,7 +147,7 @@ export class NegativeExampleGenerator {
 
     let degraded = code;
     if (replacements.length > 0) {
-      const [old, replacement] = replacements[Math.floor(Math.random() * replacements.length)];
+      const [old, replacement] = this.rng.pick(replacements);
       const idx = degraded.indexOf(old);
       if (idx !== -1) {
         degraded = degraded.substring(0, idx) + replacement + degraded.substring(idx + old.length);
@@ -158,7 +160,7 @@ export class NegativeExampleGenerator {
   _makeIncomplete(code) {
     if (!code) return code;
 
-    const cutPoint = Math.floor((60 + Math.random() * 20) * code.length / 100);
+    const cutPoint = Math.floor((60 + this.rng.next() * 20) * code.length / 100);
     let incomplete = code.substring(0, cutPoint);
 
     const lastNewline = incomplete.lastIndexOf('\n');
@@ -181,11 +183,11 @@ export class NegativeExampleGenerator {
     const variables = [...new Set(matches.map(m => m[1]))];
 
     if (variables.length > 1) {
-      const var1 = variables[Math.floor(Math.random() * variables.length)];
-      let var2 = variables[Math.floor(Math.random() * variables.length)];
+      const var1 = this.rng.pick(variables);
+      let var2 = this.rng.pick(variables);
 
       while (var2 === var1 && variables.length > 1) {
-        var2 = variables[Math.floor(Math.random() * variables.length)];
+        var2 = this.rng.pick(variables);
       }
 
       if (var1 !== var2) {
@@ -262,7 +264,7 @@ export class NegativeExampleGenerator {
     }
 
     if (replacements.length > 0) {
-      const [old, replacement] = replacements[Math.floor(Math.random() * replacements.length)];
+      const [old, replacement] = this.rng.pick(replacements);
       const idx = code.indexOf(old);
       if (idx !== -1) {
         return code.substring(0, idx) + replacement + code.substring(idx + old.length);
@@ -0,0 +1,86 @@
+import { readFileSync } from 'node:fs';
+import { resolve, dirname, basename } from 'node:path';
+
+/**
+ * Repository lists for multi-repository builds
+ *
+ * A repository is given as a path, or as an entry with per-repository
+ * settings:
+ *
+ *   {
+ *     "path": "../service",       // relative to the manifest file
+ *     "name": "service",          // `repo` metadata; defaults to the directory name
+ *     "weight": 2,                // scales the commit budget and edit pair cap
+ *     "branch": "main",           // mine this branch instead of HEAD
+ *     "extensions": [".go"],      // overrides the build's extensions
+ *     "maxEditPairs": 5000        // cap for this repository, not scaled by weight
+ *   }
+ *
+ * A manifest file holds a JSON array of entries, or an object with a `repos` array.
+ */
+
+/**
+ * @param {Array} entries - Paths or repository entries
+ * @param {string} [baseDir] - Directory relative paths are resolved against
+ * @returns {Array} Entries with every field filled in
+ */
+export function normalizeRepoSpecs(entries, baseDir = process.cwd()) {
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error('At least one repository is required');
+  }
+
+  const names = new Set();
+  return entries.map(entry => {
+    const spec = typeof entry === 'string' ? { path: entry } : entry;
+    if (!spec || typeof spec.path !== 'string' || !spec.path) {
+      throw new Error('Repository entry is missing a path');
+    }
+
+    const path = resolve(baseDir, spec.path);
+    const name = spec.name || basename(path);
+    if (names.has(name)) {
+      throw new Error(`Duplicate repository name: ${name}`);
+    }
+    names.add(name);
+
+    const weight = spec.weight ?? 1;
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new Error(`Repository weight must be a positive number: ${name}`);
+    }
+
+    const maxEditPairs = spec.maxEditPairs ?? null;
+    if (maxEditPairs !== null && (!Number.isInteger(maxEditPairs) || maxEditPairs <= 0)) {
+      throw new Error(`Repository maxEditPairs must be a positive integer: ${name}`);
+    }
+
+    if (spec.extensions !== undefined && !Array.isArray(spec.extensions)) {
+      throw new Error(`Repository extensions must be an array: ${name}`);
+    }
+
+    return {
+      path,
+      name,
+      weight,
+      branch: spec.branch || null,
+      extensions: spec.extensions || null,
+      maxEditPairs
+    };
+  });
+}
+
+/**
+ * Read a manifest file. Relative paths are resolved against its directory.
+ * @param {string} filepath - JSON manifest
+ * @returns {Array} Normalized repository entries
+ */
+export function loadRepoManifest(filepath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(readFileSync(filepath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to load manifest ${filepath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(manifest) ? manifest : manifest && manifest.repos;
+  return normalizeRepoSpecs(entries, dirname(resolve(filepath)));
+}
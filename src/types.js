@@ -2,7 +2,34 @@ export const FIMFormat = {
   PSM: 'prefix_suffix_middle',
   SPM: 'suffix_prefix_middle',
   ZED: 'zed_format',
-  MIXED: 'mixed'
+  MIXED: 'mixed',
+  EDIT_PREDICTION: 'edit_prediction'
+};
+
+export const SpanStrategy = {
+  FIXED: 'fixed',
+  RANDOM: 'random',
+  LINE: 'line',
+  BLOCK: 'block',
+  AST: 'ast'
+};
+
+export const CursorStrategy = {
+  AST: 'ast',
+  DIFF: 'diff'
+};
+
+export const SplitStrategy = {
+  EXAMPLE: 'example',
+  FILE: 'file',
+  COMMIT: 'commit',
+  TIME: 'time',
+  REPO: 'repo'
+};
+
+export const Granularity = {
+  FILE: 'file',
+  HUNK: 'hunk'
 };
 
 export class EditPair {
@@ -11,19 +38,33 @@ export class EditPair {
     after,
     diff,
     filepath,
+    oldPath = null,
+    changeType = 'modified',
     commitHash,
     commitMessage,
+    commitDate = null,
+    author = null,
+    authorEmail = null,
     language,
-    contextFiles = []
+    contextFiles = [],
+    recentEdits = [],
+    hunk = null
   }) {
     this.before = before;
     this.after = after;
     this.diff = diff;
     this.filepath = filepath;
+    this.oldPath = oldPath;
+    this.changeType = changeType;
     this.commitHash = commitHash;
     this.commitMessage = commitMessage;
+    this.commitDate = commitDate;
+    this.author = author;
+    this.authorEmail = authorEmail;
     this.language = language;
     this.contextFiles = contextFiles;
+    this.recentEdits = recentEdits;
+    this.hunk = hunk;
   }
 }
 
@@ -0,0 +1,111 @@
+import { spawn } from 'node:child_process';
+
+/**
+ * BlobReader - Reads file contents through one long-lived `git cat-file --batch`
+ *
+ * Spawning `git show` for every file version dominates mining time on large
+ * repositories. A batch process answers requests over a pipe in the order they
+ * were written, so concurrent callers just queue behind each other.
+ */
+export class BlobReader {
+  /**
+   * @param {string} repoPath - Repository to read from
+   */
+  constructor(repoPath) {
+    this.repoPath = repoPath;
+    this.process = null;
+    this.pending = [];
+    this.chunks = [];
+    this.buffered = 0;
+  }
+
+  /**
+   * @param {string} revision - Commit-ish, e.g. a hash or `hash^`
+   * @param {string} filepath - Repository path
+   * @returns {Promise<string|null>} File contents, or null if the path doesn't exist at that revision
+   */
+  read(revision, filepath) {
+    if (!this.process) this._spawn();
+
+    return new Promise(resolve => {
+      if (!this.process) {
+        resolve(null);
+        return;
+      }
+      this.pending.push(resolve);
+      this.process.stdin.write(`${revision}:${filepath}\n`);
+    });
+  }
+
+  /**
+   * Stop the batch process. Reads after closing start a new one.
+   */
+  async close() {
+    const child = this.process;
+    if (!child) return;
+
+    this.process = null;
+    await new Promise(resolve => {
+      child.once('close', resolve);
+      child.stdin.end();
+    });
+  }
+
+  _spawn() {
+    const child = spawn('git', ['cat-file', '--batch'], {
+      cwd: this.repoPath,
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+
+    child.stdout.on('data', chunk => {
+      this.chunks.push(chunk);
+      this.buffered += chunk.length;
+      this._drain();
+    });
+    child.on('error', () => this._failPending(child));
+    child.on('close', () => this._failPending(child));
+    child.stdin.on('error', () => this._failPending(child));
+
+    this.process = child;
+  }
+
+  _drain() {
+    let buffer = Buffer.concat(this.chunks, this.buffered);
+
+    while (this.pending.length) {
+      const newline = buffer.indexOf(10);
+      if (newline === -1) break;
+
+      // "<sha> <type> <size>" for found objects, "<name> missing" otherwise
+      const [, type, size] = buffer.subarray(0, newline).toString().split(' ');
+      const length = Number(size);
+
+      if (!Number.isInteger(length)) {
+        buffer = buffer.subarray(newline + 1);
+        this.pending.shift()(null);
+        continue;
+      }
+
+      // Content is followed by a newline
+      if (buffer.length < newline + 1 + length + 1) break;
+
+      const content = buffer.subarray(newline + 1, newline + 1 + length).toString('utf-8');
+      buffer = buffer.subarray(newline + 1 + length + 1);
+      this.pending.shift()(type === 'blob' ? content : null);
+    }
+
+    this.chunks = buffer.length ? [buffer] : [];
+    this.buffered = buffer.length;
+  }
+
+  _failPending(child) {
+    // A process replaced after close() must not fail the new one's requests
+    if (this.process && this.process !== child) return;
+    this.process = null;
+    for (const resolve of this.pending.splice(0)) {
+      resolve(null);
+    }
+    this.chunks = [];
+    this.buffered = 0;
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Map over items with at most `limit` calls in flight. Results keep the order
+ * of `items` regardless of which call finishes first.
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,118 @@
+/**
+ * Context window trimming
+ *
+ * Prompts embed the whole file around the middle, which for large files is far
+ * beyond any model's context. These helpers pick the slice of a file to keep
+ * so that the text before and after a protected span fits a budget.
+ */
+
+/**
+ * Find the slice of `text` to keep around the protected span [keepStart, keepEnd)
+ * @param {string} text - Full text
+ * @param {number} keepStart - Start of the span that must be kept
+ * @param {number} keepEnd - Exclusive end of the span that must be kept
+ * @param {Object} budget - Budget options
+ * @param {number} budget.maxContext - Maximum size of the kept prefix plus suffix
+ * @param {number} [budget.prefixBias=0.5] - Share of the budget given to the prefix
+ * @param {Object} [budget.tokenizer] - Object with count(text); sizes are characters without one
+ * @returns {Array} [start, end) of the kept slice
+ */
+export function computeContextWindow(text, keepStart, keepEnd, { maxContext, prefixBias = 0.5, tokenizer = null }) {
+  const count = tokenizer ? value => tokenizer.count(value) : value => value.length;
+  const prefixCost = count(text.substring(0, keepStart));
+  const suffixCost = count(text.substring(keepEnd));
+
+  if (prefixCost + suffixCost <= maxContext) {
+    return [0, text.length];
+  }
+
+  let prefixBudget = Math.floor(maxContext * prefixBias);
+  let suffixBudget = maxContext - prefixBudget;
+
+  // Whatever one side doesn't need goes to the other
+  if (prefixCost < prefixBudget) {
+    suffixBudget += prefixBudget - prefixCost;
+    prefixBudget = prefixCost;
+  } else if (suffixCost < suffixBudget) {
+    prefixBudget += suffixBudget - suffixCost;
+    suffixBudget = suffixCost;
+  }
+
+  const start = prefixCost <= prefixBudget
+    ? 0
+    : snapToLineStart(text, findPrefixStart(text, keepStart, prefixBudget, count), keepStart);
+  const end = suffixCost <= suffixBudget
+    ? text.length
+    : snapToLineEnd(text, findSuffixEnd(text, keepEnd, suffixBudget, count), keepEnd);
+
+  return [start, end];
+}
+
+/**
+ * Longest start of `text` that fits the budget, cut just after a newline
+ * @param {string} text - Full text
+ * @param {number} budget - Maximum size of the kept text
+ * @param {Object} [options]
+ * @param {Object} [options.tokenizer] - Object with count(text); sizes are characters without one
+ * @returns {string} Kept text, empty when not even the first line fits
+ */
+export function fitToBudget(text, budget, { tokenizer = null } = {}) {
+  const count = tokenizer ? value => tokenizer.count(value) : value => value.length;
+  if (count(text) <= budget) return text;
+
+  const end = findSuffixEnd(text, 0, budget, count);
+  const newline = text.lastIndexOf('\n', end - 1);
+  return newline === -1 ? '' : text.substring(0, newline + 1);
+}
+
+/**
+ * Smallest start such that text[start, keepStart) fits the budget
+ */
+function findPrefixStart(text, keepStart, budget, count) {
+  let low = 0;
+  let high = keepStart;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (count(text.substring(mid, keepStart)) <= budget) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Largest end such that text[keepEnd, end) fits the budget
+ */
+function findSuffixEnd(text, keepEnd, budget, count) {
+  let low = keepEnd;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (count(text.substring(keepEnd, mid)) <= budget) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Move a cut forward to the next line start, unless that would pass `limit`
+ */
+function snapToLineStart(text, position, limit) {
+  if (position === 0 || text[position - 1] === '\n') return position;
+  const newline = text.indexOf('\n', position);
+  return newline !== -1 && newline + 1 <= limit ? newline + 1 : position;
+}
+
+/**
+ * Move a cut back to just after the previous newline, unless that would pass `limit`
+ */
+function snapToLineEnd(text, position, limit) {
+  if (position === text.length || text[position - 1] === '\n') return position;
+  const newline = text.lastIndexOf('\n', position - 1);
+  return newline !== -1 && newline + 1 >= limit ? newline + 1 : position;
+}
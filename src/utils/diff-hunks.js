@@ -0,0 +1,314 @@
+/**
+ * Unified diff hunk parsing
+ *
+ * Turns the per-file diffs stored on EditPairs into structured hunks so that
+ * downstream stages can reason about which lines of `after` a commit actually
+ * wrote, and how they line up with `before`.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Parse all hunks out of a unified diff
+ * @param {string} diff - Unified diff text (file headers are ignored)
+ * @returns {Array} Hunks with 1-based line numbers and their raw lines
+ *
+ * @example
+ * parseDiffHunks('@@ -1,2 +1,2 @@\n a\n-b\n+c')
+ * // [{ oldStart: 1, oldLines: 2, newStart: 1, newLines: 2, header: '@@ -1,2 +1,2 @@', lines: [' a', '-b', '+c'] }]
+ */
+export function parseDiffHunks(diff) {
+  const hunks = [];
+  if (!diff) return hunks;
+
+  let current = null;
+
+  for (const line of diff.split('\n')) {
+    const match = line.match(HUNK_HEADER);
+    if (match) {
+      current = {
+        oldStart: parseInt(match[1], 10),
+        oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+        newStart: parseInt(match[3], 10),
+        newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+        header: line,
+        lines: []
+      };
+      hunks.push(current);
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (line.startsWith('diff --git')) {
+      current = null;
+    } else if (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ') || line.startsWith('\\')) {
+      current.lines.push(line);
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Find the runs of added lines in the new version of a file
+ * @param {string} diff - Unified diff text
+ * @returns {Array} Ranges of 1-based, inclusive line numbers in the new file
+ */
+export function getChangedLineRanges(diff) {
+  const ranges = [];
+
+  for (const hunk of parseDiffHunks(diff)) {
+    let newLine = hunk.newStart;
+    let runStart = null;
+
+    for (const line of hunk.lines) {
+      if (line.startsWith('+')) {
+        if (runStart === null) runStart = newLine;
+        newLine++;
+        continue;
+      }
+
+      if (runStart !== null) {
+        ranges.push({ startLine: runStart, endLine: newLine - 1 });
+        runStart = null;
+      }
+
+      if (line.startsWith(' ')) {
+        newLine++;
+      }
+    }
+
+    if (runStart !== null) {
+      ranges.push({ startLine: runStart, endLine: newLine - 1 });
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Map a range of lines in the new file to the lines they replaced in the old file.
+ * Deleted lines adjacent to either end of the range are included, so an
+ * insertion maps to an empty old range (endLine < startLine) at the same spot.
+ * @param {string} diff - Unified diff text
+ * @param {number} startLine - First new-file line (1-based, inclusive)
+ * @param {number} endLine - Last new-file line (1-based, inclusive)
+ * @returns {Object} Old-file range with 1-based, inclusive line numbers
+ */
+export function mapLineRangeToOld(diff, startLine, endLine) {
+  const hunks = parseDiffHunks(diff);
+  return {
+    startLine: mapBoundaryToOld(hunks, startLine, false),
+    endLine: mapBoundaryToOld(hunks, endLine + 1, true) - 1
+  };
+}
+
+/**
+ * Map the boundary just before new-file line `target` to an old-file line.
+ * A boundary inside a run of changes can map to several old positions; pick the
+ * earliest or latest of them depending on `preferLast`.
+ */
+function mapBoundaryToOld(hunks, target, preferLast) {
+  let oldLine = 1;
+  let newLine = 1;
+  let found = null;
+
+  for (const hunk of hunks) {
+    // A zero-length side of a hunk points at the line before the change
+    const hunkOld = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+    const hunkNew = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+
+    if (found !== null && target < hunkNew) return found;
+    if (target < hunkNew) return oldLine + (target - newLine);
+
+    oldLine = hunkOld;
+    newLine = hunkNew;
+
+    for (const line of hunk.lines) {
+      if (newLine === target) {
+        found = oldLine;
+        if (!preferLast) return found;
+      }
+
+      if (line.startsWith(' ')) {
+        oldLine++;
+        newLine++;
+      } else if (line.startsWith('-')) {
+        oldLine++;
+      } else if (line.startsWith('+')) {
+        newLine++;
+      }
+    }
+
+    if (newLine === target) {
+      found = oldLine;
+      if (!preferLast) return found;
+    }
+  }
+
+  return found !== null ? found : oldLine + (target - newLine);
+}
+
+/**
+ * Render hunks back to unified diff text without file headers
+ * @param {Array} hunks - Hunks as returned by parseDiffHunks
+ * @returns {string} Hunk headers and lines joined by newlines
+ */
+export function formatDiffHunks(hunks) {
+  return hunks.map(hunk => [hunk.header, ...hunk.lines].join('\n')).join('\n');
+}
+
+/**
+ * Move hunks by a number of lines in each file, renumbering their headers
+ * @param {Array} hunks - Hunks as returned by parseDiffHunks
+ * @param {number} oldOffset - Lines to add to old-file positions
+ * @param {number} newOffset - Lines to add to new-file positions
+ * @returns {Array} Shifted hunks
+ */
+export function shiftDiffHunks(hunks, oldOffset, newOffset) {
+  return hunks.map(hunk => {
+    const oldStart = hunk.oldStart + oldOffset;
+    const newStart = hunk.newStart + newOffset;
+    return {
+      ...hunk,
+      oldStart,
+      newStart,
+      header: `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`
+    };
+  });
+}
+
+/**
+ * Cut a file pair into one window per cluster of nearby hunks. Each window
+ * holds the changed lines plus up to `contextLines` unchanged lines on either
+ * side; hunks whose windows would touch share one. Hunks in the returned
+ * diffs lose context lines outside the window and are renumbered to count
+ * from its start.
+ * @param {string} before - Old file
+ * @param {string} after - New file
+ * @param {string} diff - Unified diff between them
+ * @param {number} contextLines - Unchanged lines kept around each cluster
+ * @returns {Array} Windows of { before, after, diff, range }, where range gives
+ *   the 1-based, inclusive lines the window covers in each file and the
+ *   original hunk positions
+ */
+export function splitHunkWindows(before, after, diff, contextLines) {
+  const beforeLines = splitLines(before);
+  const afterLines = splitLines(after);
+  const windows = [];
+
+  const hunks = parseDiffHunks(diff).map(hunk => ({ ...hunk, changes: changeSpan(hunk) }));
+  for (const cluster of clusterHunks(hunks, contextLines)) {
+    // Git's own context lines don't count: windows are measured from the first
+    // and last changed line. Lines outside the changes are identical in both
+    // files, so both sides extend by the same amount.
+    const first = cluster[0].changes;
+    const last = cluster[cluster.length - 1].changes;
+    const lead = Math.min(contextLines, first.oldStart - 1, first.newStart - 1);
+    const trail = Math.min(contextLines, beforeLines.length - last.oldEnd, afterLines.length - last.newEnd);
+
+    const range = {
+      beforeStart: first.oldStart - lead,
+      beforeEnd: last.oldEnd + trail,
+      afterStart: first.newStart - lead,
+      afterEnd: last.newEnd + trail,
+      hunks: cluster.map(({ oldStart, oldLines, newStart, newLines }) => ({ oldStart, oldLines, newStart, newLines }))
+    };
+
+    const trimmed = cluster.map(hunk => trimHunk(hunk, range.beforeStart, range.beforeEnd));
+    const rebased = shiftDiffHunks(trimmed, 1 - range.beforeStart, 1 - range.afterStart);
+
+    windows.push({
+      before: beforeLines.slice(range.beforeStart - 1, range.beforeEnd).join(''),
+      after: afterLines.slice(range.afterStart - 1, range.afterEnd).join(''),
+      diff: formatDiffHunks(rebased),
+      range
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Where a hunk's changed lines start and end, skipping its context lines:
+ * the first changed line's position in each file and the last line each
+ * file has in the change (one before the start for a side with no lines)
+ */
+function changeSpan(hunk) {
+  let oldLine = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+  let newLine = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+  let span = null;
+
+  for (const line of hunk.lines) {
+    const added = line.startsWith('+');
+    const removed = line.startsWith('-');
+    if ((added || removed) && !span) {
+      span = { oldStart: oldLine, newStart: newLine };
+    }
+    if (added || removed) {
+      span.oldEnd = oldLine - (added ? 1 : 0);
+      span.newEnd = newLine - (removed ? 1 : 0);
+    }
+    if (!added && !line.startsWith('\\')) oldLine++;
+    if (!removed && !line.startsWith('\\')) newLine++;
+  }
+
+  // A hunk without changes (mode-only or malformed) spans its whole range
+  return span || { oldStart: oldLine, newStart: newLine, oldEnd: oldLine - 1, newEnd: newLine - 1 };
+}
+
+/**
+ * Drop a hunk's context lines that fall outside old-file lines [oldFrom, oldTo]
+ */
+function trimHunk(hunk, oldFrom, oldTo) {
+  let oldLine = hunk.oldLines === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+  let newLine = hunk.newLines === 0 ? hunk.newStart + 1 : hunk.newStart;
+  const lines = [];
+  let start = null;
+  let keptPrevious = false;
+
+  for (const line of hunk.lines) {
+    // "\ No newline at end of file" belongs to the line before it
+    if (line.startsWith('\\')) {
+      if (keptPrevious) lines.push(line);
+      continue;
+    }
+
+    keptPrevious = !line.startsWith(' ') || (oldLine >= oldFrom && oldLine <= oldTo);
+    if (keptPrevious) {
+      if (!start) start = { oldLine, newLine };
+      lines.push(line);
+    }
+    if (!line.startsWith('+')) oldLine++;
+    if (!line.startsWith('-')) newLine++;
+  }
+
+  const oldLines = lines.filter(line => line.startsWith(' ') || line.startsWith('-')).length;
+  const newLines = lines.filter(line => line.startsWith(' ') || line.startsWith('+')).length;
+  // A side with no lines points at the line before the change
+  const oldStart = start ? start.oldLine - (oldLines === 0 ? 1 : 0) : hunk.oldStart;
+  const newStart = start ? start.newLine - (newLines === 0 ? 1 : 0) : hunk.newStart;
+  return { ...hunk, oldStart, oldLines, newStart, newLines, lines };
+}
+
+/**
+ * Group hunks whose context windows would touch
+ */
+function clusterHunks(hunks, contextLines) {
+  const clusters = [];
+  for (const hunk of hunks) {
+    const previous = clusters[clusters.length - 1];
+    const lastHunk = previous && previous[previous.length - 1];
+    if (lastHunk && hunk.changes.newStart - lastHunk.changes.newEnd - 1 <= 2 * contextLines) {
+      previous.push(hunk);
+    } else {
+      clusters.push([hunk]);
+    }
+  }
+  return clusters;
+}
+
+function splitLines(text) {
+  return text ? text.split(/(?<=\n)/) : [];
+}
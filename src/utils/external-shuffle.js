@@ -0,0 +1,99 @@
+import { createReadStream, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { join } from 'node:path';
+import { JsonlWriter } from './jsonl-writer.js';
+
+/**
+ * ExternalShuffle - Two-pass shuffle on disk
+ *
+ * The first pass appends each record to a randomly chosen bucket file; the
+ * second loads one bucket at a time, shuffles it in memory and yields it.
+ * Concatenating independently shuffled random buckets is a uniform shuffle.
+ * A bucket that grew past `maxBucketBytes` is first split the same way into
+ * as many smaller buckets as its size calls for, so memory is bounded by the
+ * bucket size rather than by the dataset.
+ */
+export class ExternalShuffle {
+  /**
+   * @param {string} parentDir - Directory to create the temporary bucket directory in
+   * @param {Object} options
+   * @param {SeededRandom} options.rng - Random source for bucket choice and shuffling
+   * @param {number} [options.buckets=16] - Number of bucket files
+   * @param {number} [options.maxBucketBytes] - Largest bucket loaded into memory (default: 64 MB)
+   */
+  constructor(parentDir, { rng, buckets = 16, maxBucketBytes = 64 * 1024 * 1024 }) {
+    this.dir = mkdtempSync(join(parentDir, '.shuffle-'));
+    this.rng = rng;
+    this.maxBucketBytes = maxBucketBytes;
+    this.writers = Array.from({ length: buckets }, () => null);
+    this.count = 0;
+  }
+
+  /**
+   * @param {Object} record - JSON-serializable record
+   */
+  async add(record) {
+    const bucket = this.rng.int(this.writers.length);
+    if (!this.writers[bucket]) {
+      this.writers[bucket] = new JsonlWriter(join(this.dir, `bucket_${bucket}.jsonl`));
+    }
+
+    await this.writers[bucket].write(record);
+    this.count++;
+  }
+
+  /**
+   * Yield every added record in random order
+   */
+  async *drain() {
+    await Promise.all(this.writers.filter(Boolean).map(writer => writer.close()));
+
+    for (const writer of this.writers) {
+      if (writer) yield* this._drainBucket(writer);
+    }
+  }
+
+  async *_drainBucket(writer) {
+    if (writer.bytes > this.maxBucketBytes && writer.count > 1) {
+      yield* this._splitBucket(writer);
+      return;
+    }
+
+    const records = readFileSync(writer.filepath, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+    rmSync(writer.filepath, { force: true });
+
+    yield* this.rng.shuffle(records);
+  }
+
+  /**
+   * Scatter an oversized bucket into smaller random buckets and drain those
+   */
+  async *_splitBucket(writer) {
+    // Twice the minimum, so random variation rarely leaves a part over the limit
+    const count = Math.ceil(writer.bytes / this.maxBucketBytes) * 2;
+    const prefix = writer.filepath.replace(/\.jsonl$/, '');
+    const parts = Array.from({ length: count }, (_, i) => new JsonlWriter(`${prefix}_${i}.jsonl`));
+
+    const lines = createInterface({ input: createReadStream(writer.filepath), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line) await parts[this.rng.int(count)].write(JSON.parse(line));
+    }
+    rmSync(writer.filepath, { force: true });
+    await Promise.all(parts.map(part => part.close()));
+
+    for (const part of parts) {
+      yield* this._drainBucket(part);
+    }
+  }
+
+  /**
+   * Remove the bucket directory
+   */
+  async cleanup() {
+    await Promise.allSettled(this.writers.filter(Boolean).map(writer => writer.close()));
+    rmSync(this.dir, { recursive: true, force: true });
+  }
+}
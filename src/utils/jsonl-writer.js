@@ -0,0 +1,49 @@
+import { createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+import { finished } from 'node:stream/promises';
+
+/**
+ * JsonlWriter - Appends one JSON record per line, waiting on backpressure
+ */
+export class JsonlWriter {
+  /**
+   * @param {string} filepath - File to create (truncated if it exists)
+   */
+  constructor(filepath) {
+    this.filepath = filepath;
+    this.count = 0;
+    this.bytes = 0;
+    this.error = null;
+    this.closed = false;
+    this.stream = createWriteStream(filepath);
+    this.stream.on('error', error => {
+      this.error = error;
+    });
+  }
+
+  /**
+   * @param {Object} record - Value to serialize
+   */
+  async write(record) {
+    if (this.error) throw this.error;
+
+    const line = JSON.stringify(record) + '\n';
+    this.count++;
+    this.bytes += Buffer.byteLength(line);
+    if (!this.stream.write(line)) {
+      await once(this.stream, 'drain');
+    }
+  }
+
+  /**
+   * Flush and close the file
+   */
+  async close() {
+    if (this.error) throw this.error;
+    if (this.closed) return;
+
+    this.closed = true;
+    this.stream.end();
+    await finished(this.stream);
+  }
+}
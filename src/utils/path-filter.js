@@ -0,0 +1,152 @@
+/**
+ * Path selection
+ *
+ * Globs follow .gitignore conventions: a pattern without a slash matches a
+ * file or directory name at any depth, a pattern with one is anchored at the
+ * repository root, `**` spans directories, and a pattern that matches a
+ * directory matches everything under it.
+ */
+
+// Vendored and generated code that shouldn't become training data
+export const DEFAULT_EXCLUDES = [
+  'node_modules',
+  'vendor',
+  'third_party',
+  'dist',
+  'build',
+  '*.min.js',
+  'migrations'
+];
+
+const LINGUIST_ATTRIBUTES = ['linguist-generated', 'linguist-vendored'];
+
+/**
+ * @param {string} glob - .gitignore-style pattern
+ * @returns {RegExp} Matcher for repository-relative paths
+ */
+export function globToRegExp(glob) {
+  let pattern = glob.replace(/\/+$/, '');
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^') + ']';
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}(?:$|/)`);
+}
+
+/**
+ * Parse .gitattributes into the linguist attributes each pattern sets
+ * @param {string} content - .gitattributes file
+ * @param {string} [dir] - Directory holding the file; its patterns match paths below it
+ * @returns {Array} Rules of { pattern: RegExp, attributes: { name: boolean }, base: string }
+ */
+export function parseGitAttributes(content, dir = '') {
+  const rules = [];
+  for (const line of (content || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const [pattern, ...settings] = trimmed.split(/\s+/);
+    const attributes = {};
+    for (const setting of settings) {
+      const [, prefix, name, value] = setting.match(/^([-!]?)([^=]+)(?:=(.*))?$/) || [];
+      // `!attr` returns the attribute to unspecified, which leaves the defaults in charge
+      if (!LINGUIST_ATTRIBUTES.includes(name) || prefix === '!') continue;
+      attributes[name] = prefix !== '-' && value !== 'false';
+    }
+
+    if (Object.keys(attributes).length) {
+      rules.push({ pattern: globToRegExp(pattern), attributes, base: dir ? `${dir}/` : '' });
+    }
+  }
+  return rules;
+}
+
+export class PathFilter {
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.include] - Only paths matching one of these globs are kept
+   * @param {Array} [options.exclude] - Paths matching one of these globs are dropped
+   * @param {boolean} [options.defaultExcludes] - Drop DEFAULT_EXCLUDES and paths
+   *   .gitattributes marks linguist-generated or linguist-vendored
+   */
+  constructor({ include = null, exclude = null, defaultExcludes = true } = {}) {
+    this.include = include || [];
+    this.exclude = exclude || [];
+    this.defaultExcludes = defaultExcludes;
+
+    this.includePatterns = this.include.map(globToRegExp);
+    this.excludePatterns = this.exclude.map(globToRegExp);
+    this.defaultPatterns = defaultExcludes ? DEFAULT_EXCLUDES.map(globToRegExp) : [];
+  }
+
+  /**
+   * @param {string} filepath - Repository-relative path
+   * @param {Array} [attributeRules] - Rules from parseGitAttributes for the same commit,
+   *   from the root .gitattributes down to the path's own directory
+   * @returns {boolean} Whether the path should be mined
+   */
+  matches(filepath, attributeRules = []) {
+    if (this.includePatterns.length && !this.includePatterns.some(pattern => pattern.test(filepath))) {
+      return false;
+    }
+    if (this.excludePatterns.some(pattern => pattern.test(filepath))) {
+      return false;
+    }
+    if (!this.defaultExcludes) return true;
+
+    // Later .gitattributes lines (and deeper files) win, and an explicit =false
+    // keeps a path the defaults would drop
+    const attributes = {};
+    for (const { pattern, attributes: set, base = '' } of attributeRules) {
+      if (filepath.startsWith(base) && pattern.test(filepath.slice(base.length))) {
+        Object.assign(attributes, set);
+      }
+    }
+    const marked = Object.values(attributes);
+    if (marked.includes(true)) return false;
+    if (marked.includes(false)) return true;
+
+    return !this.defaultPatterns.some(pattern => pattern.test(filepath));
+  }
+
+  /**
+   * Whether .gitattributes needs to be read at all
+   */
+  get usesAttributes() {
+    return this.defaultExcludes;
+  }
+
+  /**
+   * Settings that change which files are mined, for cache keys
+   */
+  key() {
+    return { include: this.include, exclude: this.exclude, defaultExcludes: this.defaultExcludes };
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * SeededRandom - Deterministic pseudo-random numbers
+ *
+ * Every stochastic choice in the pipeline draws from one of these so that a
+ * run with the same seed and inputs produces byte-identical output.
+ * Uses mulberry32, which is fast and good enough for sampling decisions.
+ */
+export class SeededRandom {
+  /**
+   * @param {number|null} seed - 32-bit seed; a random one is chosen when omitted
+   */
+  constructor(seed = null) {
+    this.seed = seed === null || seed === undefined
+      ? Math.floor(Math.random() * 0x100000000)
+      : seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * @param {Array} array - Non-empty array
+   * @returns {*} A random element
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  /**
+   * Fisher-Yates shuffle in place
+   * @param {Array} array - Array to shuffle
+   * @returns {Array} The same array
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * @param {Array} array - Source array (not modified)
+   * @param {number} size - Number of elements to take
+   * @returns {Array} Up to `size` elements in random order
+   */
+  sample(array, size) {
+    return this.shuffle([...array]).slice(0, size);
+  }
+}
@@ -0,0 +1,99 @@
+import { posix } from 'node:path';
+
+/**
+ * Related file discovery
+ *
+ * Finds files an edited file depends on, using lightweight per-language import
+ * patterns resolved against the list of files at the same commit. Resolution is
+ * best effort: anything that doesn't map to a file in the tree is ignored.
+ */
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+const IMPORT_PATTERNS = {
+  javascript: [
+    /(?:import|export)\s[^'"]*?from\s*['"]([^'"]+)['"]/g,
+    /import\s*\(?\s*['"]([^'"]+)['"]/g,
+    /require\(\s*['"]([^'"]+)['"]\s*\)/g
+  ],
+  python: [
+    /^\s*from\s+([.\w]+)\s+import/gm,
+    /^\s*import\s+([\w.]+)/gm
+  ],
+  rust: [/^\s*(?:pub\s+)?mod\s+(\w+)\s*;/gm],
+  c: [/^\s*#\s*include\s+"([^"]+)"/gm],
+  java: [/^\s*import\s+(?:static\s+)?([\w.]+)\s*;/gm]
+};
+IMPORT_PATTERNS.typescript = IMPORT_PATTERNS.javascript;
+IMPORT_PATTERNS.cpp = IMPORT_PATTERNS.c;
+
+/**
+ * @param {string} code - Source of the importing file
+ * @param {string} language - Language name as detected by the miner
+ * @returns {Array} Import specifiers in source order
+ */
+export function extractImportSpecifiers(code, language) {
+  const specifiers = [];
+  for (const pattern of IMPORT_PATTERNS[language] || []) {
+    for (const match of code.matchAll(pattern)) {
+      specifiers.push({ index: match.index, specifier: match[1] });
+    }
+  }
+
+  return [...new Set(specifiers
+    .sort((a, b) => a.index - b.index)
+    .map(({ specifier }) => specifier))];
+}
+
+/**
+ * Map an import specifier to a repository path
+ * @param {string} fromPath - Repository path of the importing file
+ * @param {string} specifier - Import specifier
+ * @param {string} language - Language of the importing file
+ * @param {Set} files - Repository paths present at the commit
+ * @returns {string|null} The imported file, or null when it isn't in the tree
+ */
+export function resolveImportPath(fromPath, specifier, language, files) {
+  const dir = posix.dirname(fromPath);
+  const first = candidates => candidates.find(candidate => files.has(candidate)) || null;
+
+  switch (language) {
+    case 'javascript':
+    case 'typescript': {
+      if (!specifier.startsWith('.')) return null;
+      const base = posix.join(dir, specifier);
+      // TypeScript sources are imported with the .js extension they compile to
+      const stripped = base.replace(/\.[cm]?js$/, '');
+      return first([
+        base,
+        ...JS_EXTENSIONS.map(ext => stripped + ext),
+        ...JS_EXTENSIONS.map(ext => posix.join(base, `index${ext}`))
+      ]);
+    }
+    case 'python': {
+      const dots = specifier.match(/^\.*/)[0].length;
+      const modulePath = specifier.substring(dots).split('.').filter(Boolean).join('/');
+      const roots = dots
+        ? [posix.join(dir, ...Array(dots - 1).fill('..'))]
+        : ['', dir];
+      return first(roots.flatMap(root => {
+        const base = posix.join(root || '.', modulePath);
+        return [`${base}.py`, posix.join(base, '__init__.py')];
+      }).map(path => posix.normalize(path)));
+    }
+    case 'rust':
+      return first([posix.join(dir, `${specifier}.rs`), posix.join(dir, specifier, 'mod.rs')]);
+    case 'c':
+    case 'cpp':
+      return first([posix.join(dir, specifier), posix.normalize(specifier)]);
+    case 'java': {
+      const suffix = `/${specifier.replaceAll('.', '/')}.java`;
+      for (const file of files) {
+        if (`/${file}`.endsWith(suffix)) return file;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,71 @@
+import { SplitStrategy } from '../types.js';
+
+/**
+ * Grouped dataset splits
+ *
+ * Examples derived from the same file, commit or repository are near
+ * duplicates of each other, so letting them straddle train and test leaks the
+ * answer. Grouped splits assign whole groups to one side instead.
+ */
+
+/**
+ * @param {Object} metadata - Example metadata
+ * @param {string} strategy - SplitStrategy value
+ * @returns {string|null} Group the example belongs to, or null for per-example splits
+ */
+export function splitGroupKey(metadata, strategy) {
+  const repo = metadata.repo || '';
+  switch (strategy) {
+    case SplitStrategy.FILE:
+      return `${repo}:${metadata.filepath}`;
+    case SplitStrategy.COMMIT:
+    case SplitStrategy.TIME:
+      return `${repo}:${metadata.commit}`;
+    case SplitStrategy.REPO:
+      return repo;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Assign groups to splits so each split's share of examples is close to its
+ * ratio. Groups are taken in random order, or oldest first for time splits so
+ * the newest commits land in the last split. A group goes to the split its
+ * midpoint falls in, which keeps one large group from swallowing a small split.
+ * @param {Map} groups - Group key to { size, date }
+ * @param {Array} ratios - Fraction of examples per split, summing to 1
+ * @param {Object} options
+ * @param {Object} options.rng - SeededRandom for the group order
+ * @param {boolean} [options.byTime] - Order groups by date instead of randomly
+ * @returns {Map} Group key to split index
+ */
+export function assignGroups(groups, ratios, { rng, byTime = false }) {
+  const keys = [...groups.keys()];
+  if (byTime) {
+    const time = key => Date.parse(groups.get(key).date) || 0;
+    keys.sort((a, b) => time(a) - time(b));
+  } else {
+    rng.shuffle(keys);
+  }
+
+  const total = keys.reduce((sum, key) => sum + groups.get(key).size, 0);
+  const boundaries = [];
+  let cumulative = 0;
+  for (const ratio of ratios) {
+    cumulative += ratio;
+    boundaries.push(cumulative * total);
+  }
+
+  const assignment = new Map();
+  let filled = 0;
+  for (const key of keys) {
+    const { size } = groups.get(key);
+    const midpoint = filled + size / 2;
+    const index = boundaries.findIndex(boundary => midpoint < boundary);
+    assignment.set(key, index === -1 ? ratios.length - 1 : index);
+    filled += size;
+  }
+
+  return assignment;
+}
@@ -0,0 +1,397 @@
+import { readFileSync } from 'node:fs';
+import { basename, dirname } from 'node:path';
+
+/**
+ * Tokenizers
+ *
+ * Anything with a `count(text)` method can be used where token counts are
+ * needed (context budgets, token limits, stats). BPETokenizer reads a local
+ * HuggingFace `tokenizer.json` so counts match the target model without
+ * network access or native dependencies.
+ */
+
+// GPT-2 pre-tokenization, used when the file doesn't supply its own pattern
+const GPT2_PATTERN = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+const METASPACE = '▁';
+const CACHE_LIMIT = 50000;
+
+const SPLIT_BEHAVIORS = new Set(['Removed', 'Isolated', 'MergedWithPrevious', 'MergedWithNext', 'Contiguous']);
+
+export class BPETokenizer {
+  /**
+   * @param {Object} config - Parsed tokenizer.json
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name reported in stats
+   */
+  constructor(config, { name = 'bpe' } = {}) {
+    const model = config && config.model;
+    if (!model || (model.type && model.type !== 'BPE') || !model.vocab || !model.merges) {
+      throw new Error('Unsupported tokenizer: only BPE tokenizer.json files are supported');
+    }
+
+    this.name = name;
+    this.vocab = new Map(Object.entries(model.vocab));
+    this.ranks = new Map(model.merges.map((merge, rank) => [
+      Array.isArray(merge) ? merge.join(' ') : merge,
+      rank
+    ]));
+    this.unkId = model.unk_token !== null && model.unk_token !== undefined
+      ? this.vocab.get(model.unk_token) ?? null
+      : null;
+    this.byteFallback = Boolean(model.byte_fallback);
+    this.ignoreMerges = Boolean(model.ignore_merges);
+
+    const preTokenizers = flattenSteps(config.pre_tokenizer, 'pretokenizers');
+    const normalizers = flattenSteps(config.normalizer, 'normalizers');
+
+    this.byteLevel = preTokenizers.some(step => step.type === 'ByteLevel') ||
+      (config.decoder && config.decoder.type === 'ByteLevel');
+    // Pre-tokenizer steps run in order, each splitting the pieces the last one made
+    this.preTokenizers = preTokenizers.map(step => compilePreTokenizer(step));
+
+    // Llama-style files put the metaspace in the normalizer and have no pre-tokenizer
+    const replacesSpaces = normalizers.some(step => step.type === 'Replace' && step.content === METASPACE);
+    this.metaspace = !this.byteLevel && !preTokenizers.length && replacesSpaces;
+    this.prependSpace = normalizers.some(step => step.type === 'Prepend' && step.prepend === METASPACE);
+
+    // Added tokens (FIM markers, special tokens) are matched before BPE
+    this.addedTokens = (config.added_tokens || [])
+      .filter(token => token.content)
+      .sort((a, b) => b.content.length - a.content.length);
+    this.addedPattern = this.addedTokens.length
+      ? new RegExp(this.addedTokens.map(token => escapeRegExp(token.content)).join('|'), 'g')
+      : null;
+    this.addedIds = new Map(this.addedTokens.map(token => [token.content, token.id]));
+
+    this.byteEncoder = bytesToUnicode();
+    this.textEncoder = new TextEncoder();
+    this.cache = new Map();
+  }
+
+  /**
+   * Load a tokenizer.json file. The name defaults to the containing directory,
+   * which is usually the model name.
+   * @param {string} filepath - Path to tokenizer.json
+   * @returns {BPETokenizer}
+   */
+  static fromFile(filepath) {
+    let config;
+    try {
+      config = JSON.parse(readFileSync(filepath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to load tokenizer ${filepath}: ${error.message}`);
+    }
+
+    const file = basename(filepath);
+    const name = file === 'tokenizer.json' ? basename(dirname(filepath)) : basename(file, '.json');
+    return new BPETokenizer(config, { name });
+  }
+
+  /**
+   * @param {string} text - Text to encode
+   * @returns {Array} Token ids
+   */
+  encode(text) {
+    const ids = [];
+    if (!text) return ids;
+
+    for (const [segment, isAdded] of this._splitAdded(text)) {
+      if (isAdded) {
+        ids.push(this.addedIds.get(segment));
+        continue;
+      }
+      for (const piece of this._preTokenize(segment)) {
+        ids.push(...this._encodePiece(piece));
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * @param {string} text - Text to measure
+   * @returns {number} Number of tokens
+   */
+  count(text) {
+    return this.encode(text).length;
+  }
+
+  _splitAdded(text) {
+    if (!this.addedPattern) return [[text, false]];
+
+    const segments = [];
+    let last = 0;
+    for (const match of text.matchAll(this.addedPattern)) {
+      if (match.index > last) segments.push([text.substring(last, match.index), false]);
+      segments.push([match[0], true]);
+      last = match.index + match[0].length;
+    }
+    if (last < text.length) segments.push([text.substring(last), false]);
+    return segments;
+  }
+
+  _preTokenize(text) {
+    if (this.metaspace) {
+      const replaced = (this.prependSpace ? METASPACE : '') + text.replaceAll(' ', METASPACE);
+      return replaced.match(/▁*[^▁]+|▁+/g) || [];
+    }
+
+    let pieces;
+    if (this.preTokenizers.length) {
+      pieces = [text];
+      for (const step of this.preTokenizers) {
+        pieces = pieces.flatMap((piece, index) => step(piece, index === 0));
+      }
+    } else {
+      pieces = splitPiece(text, GPT2_PATTERN, 'Isolated');
+    }
+
+    if (!this.byteLevel) return pieces;
+    return pieces.map(piece => Array.from(this.textEncoder.encode(piece), byte => this.byteEncoder[byte]).join(''));
+  }
+
+  _encodePiece(piece) {
+    const cached = this.cache.get(piece);
+    if (cached) return cached;
+
+    let ids;
+    if (this.ignoreMerges && this.vocab.has(piece)) {
+      ids = [this.vocab.get(piece)];
+    } else {
+      ids = this._merge(Array.from(piece)).flatMap(symbol => this._symbolIds(symbol));
+    }
+
+    if (this.cache.size >= CACHE_LIMIT) this.cache.clear();
+    this.cache.set(piece, ids);
+    return ids;
+  }
+
+  _merge(symbols) {
+    while (symbols.length > 1) {
+      let best = null;
+      let bestRank = Infinity;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.ranks.get(`${symbols[i]} ${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          best = [symbols[i], symbols[i + 1]];
+        }
+      }
+      if (!best) break;
+
+      const merged = [];
+      for (let i = 0; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === best[0] && symbols[i + 1] === best[1]) {
+          merged.push(best[0] + best[1]);
+          i++;
+        } else {
+          merged.push(symbols[i]);
+        }
+      }
+      symbols = merged;
+    }
+    return symbols;
+  }
+
+  _symbolIds(symbol) {
+    if (this.vocab.has(symbol)) return [this.vocab.get(symbol)];
+
+    if (this.byteFallback) {
+      return Array.from(this.textEncoder.encode(symbol), byte => {
+        const hex = byte.toString(16).toUpperCase().padStart(2, '0');
+        return this.vocab.get(`<0x${hex}>`) ?? this.unkId;
+      });
+    }
+    return [this.unkId];
+  }
+}
+
+/**
+ * Load a tokenizer from a tokenizer.json path, or a directory containing one
+ * @param {string} path - File or model directory
+ * @returns {BPETokenizer}
+ */
+export function loadTokenizer(path) {
+  const filepath = path.endsWith('.json') ? path : `${path.replace(/\/$/, '')}/tokenizer.json`;
+  return BPETokenizer.fromFile(filepath);
+}
+
+function flattenSteps(step, key) {
+  if (!step) return [];
+  if (step.type === 'Sequence') {
+    return (step[key] || []).flatMap(inner => flattenSteps(inner, key));
+  }
+  return [step];
+}
+
+/**
+ * Turn one HuggingFace pre-tokenizer step into a function from a piece of text
+ * (and whether it starts the text) to the pieces it splits into. Steps whose
+ * output can't be reproduced are rejected rather than approximated.
+ */
+function compilePreTokenizer(step) {
+  switch (step.type) {
+    case 'Split': {
+      const behavior = step.behavior || 'Isolated';
+      if (!SPLIT_BEHAVIORS.has(behavior)) {
+        throw new Error(`Unsupported tokenizer: unknown split behavior ${behavior}`);
+      }
+      const pattern = splitRegExp(step.pattern || {});
+      return piece => splitPiece(piece, pattern, behavior, Boolean(step.invert));
+    }
+    case 'Digits': {
+      const behavior = step.individual_digits ? 'Isolated' : 'Contiguous';
+      return piece => splitPiece(piece, /\p{N}/gu, behavior);
+    }
+    case 'ByteLevel': {
+      const addPrefixSpace = step.add_prefix_space !== false;
+      const useRegex = step.use_regex !== false;
+      return piece => {
+        const spaced = addPrefixSpace && !piece.startsWith(' ') ? ` ${piece}` : piece;
+        return useRegex ? splitPiece(spaced, GPT2_PATTERN, 'Isolated') : [spaced];
+      };
+    }
+    case 'Metaspace': {
+      const replacement = step.replacement || METASPACE;
+      const scheme = step.prepend_scheme || (step.add_prefix_space === false ? 'never' : 'always');
+      const pattern = new RegExp(escapeRegExp(replacement), 'gu');
+      return (piece, first) => {
+        let replaced = piece.replaceAll(' ', replacement);
+        if ((scheme === 'always' || (scheme === 'first' && first)) && !replaced.startsWith(replacement)) {
+          replaced = replacement + replaced;
+        }
+        return step.split === false ? [replaced] : splitPiece(replaced, pattern, 'MergedWithNext');
+      };
+    }
+    default:
+      throw new Error(`Unsupported tokenizer: pre-tokenizer ${step.type} is not supported`);
+  }
+}
+
+/**
+ * Compile a Split step's pattern. JS regexes have no inline flag groups, so
+ * the `(?i:...)` contraction group is spelled out with both cases.
+ */
+function splitRegExp({ Regex: regex, String: string }) {
+  if (typeof string === 'string') return new RegExp(escapeRegExp(string), 'gu');
+  if (typeof regex !== 'string') throw new Error('Unsupported tokenizer: split step without a pattern');
+
+  const source = regex.replace(/\(\?i:([^()[\]\\]*)\)/g, (_, body) =>
+    `(?:${body.replace(/[a-zA-Z]/g, letter => `[${letter.toLowerCase()}${letter.toUpperCase()}]`)})`);
+  try {
+    return new RegExp(source, 'gu');
+  } catch (error) {
+    throw new Error(`Unsupported tokenizer: split pattern ${regex} (${error.message})`);
+  }
+}
+
+/**
+ * Split text on the matches of a global pattern the way HuggingFace does:
+ * `invert` makes the text between matches the delimiters, and `behavior`
+ * decides whether delimiters are dropped, kept alone, merged into a
+ * neighbour, or merged with adjacent delimiters.
+ */
+function splitPiece(text, pattern, behavior, invert = false) {
+  // [start, end, isDelimiter] covering the whole text
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    if (match.index > last) parts.push([last, match.index, invert]);
+    parts.push([match.index, match.index + match[0].length, !invert]);
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push([last, text.length, invert]);
+
+  let merged = [];
+  if (behavior === 'Removed') {
+    merged = parts.filter(([, , isDelimiter]) => !isDelimiter);
+  } else if (behavior === 'Isolated') {
+    merged = parts;
+  } else if (behavior === 'Contiguous') {
+    for (const part of parts) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous[2] === part[2]) previous[1] = part[1];
+      else merged.push([...part]);
+    }
+  } else if (behavior === 'MergedWithPrevious') {
+    let previousDelimiter = false;
+    for (const part of parts) {
+      const previous = merged[merged.length - 1];
+      if (part[2] && !previousDelimiter && previous) previous[1] = part[1];
+      else merged.push([...part]);
+      previousDelimiter = part[2];
+    }
+  } else {
+    // MergedWithNext
+    let nextDelimiter = false;
+    for (let i = parts.length - 1; i >= 0; i--) {
+      const part = parts[i];
+      const next = merged[merged.length - 1];
+      if (part[2] && !nextDelimiter && next) next[0] = part[0];
+      else merged.push([...part]);
+      nextDelimiter = part[2];
+    }
+    merged.reverse();
+  }
+
+  return merged.map(([start, end]) => text.substring(start, end));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * GPT-2's reversible byte to printable character table used by byte-level BPE
+ */
+function bytesToUnicode() {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+
+  const table = new Array(256);
+  for (const b of bytes) table[b] = String.fromCharCode(b);
+
+  let next = 0;
+  for (let b = 0; b < 256; b++) {
+    if (table[b] === undefined) {
+      table[b] = String.fromCharCode(256 + next);
+      next++;
+    }
+  }
+  return table;
+}
+
+/**
+ * Summarize token counts for stats files. Histogram buckets double in width
+ * (0-15, 16-31, 32-63, ...) so short and very long examples both stay readable.
+ * @param {Array} counts - Token counts
+ * @returns {Object} count, min, max, mean, p50, p95 and histogram
+ */
+export function summarizeTokenCounts(counts) {
+  if (!counts.length) {
+    return { count: 0, min: 0, max: 0, mean: 0, p50: 0, p95: 0, histogram: {} };
+  }
+
+  const sorted = [...counts].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+  const histogram = {};
+  for (let low = 0, high = 16; low <= sorted[sorted.length - 1]; low = high, high *= 2) {
+    const inBucket = sorted.filter(count => count >= low && count < high).length;
+    if (inBucket) histogram[`${low}-${high - 1}`] = inBucket;
+  }
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: Math.round(sorted.reduce((sum, count) => sum + count, 0) / sorted.length),
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    histogram
+  };
+}
@@ -114,6 +114,7 @@ class DatasetViewer {
     if (metadata.language) console.log(`  Language: ${metadata.language}`);
     if (metadata.commit) console.log(`  Commit: ${metadata.commit}`);
     if (metadata.commitMessage) console.log(`  Message: ${metadata.commitMessage}`);
+    if (metadata.author) console.log(`  Author: ${metadata.author}`);
     if (metadata.degradationMethod) console.log(`  Degradation: ${metadata.degradationMethod}`);
   }
 
@@ -140,6 +140,96 @@ describe('ASTProcessor', () => {
     });
   });
 
+  describe('tree-sitter cursor selection', () => {
+    beforeEach(async () => {
+      await processor.init();
+    });
+
+    test('should load bundled grammars', () => {
+      assert.equal(processor.hasTreeSitter, true);
+      assert(processor.parsers.has('javascript'));
+      assert(processor.parsers.has('python'));
+    });
+
+    test('should place cursors at the start of priority nodes', () => {
+      const code = 'function greet(name) {\n  if (name) {\n    log(name);\n  }\n}\n';
+      const positions = processor.selectCursorPositions(code, 'javascript', 3);
+
+      assert.equal(positions.length, 3);
+      assert(positions.includes(code.indexOf('function')));
+      assert(positions.includes(code.indexOf('if (name)')));
+      assert(positions.includes(code.indexOf('log(name)')));
+    });
+
+    test('should never place cursors inside string literals', () => {
+      const code = 'const msg = "if (x) { call(); }";\nconsole.log(msg);\n';
+      const stringStart = code.indexOf('"');
+      const stringEnd = code.indexOf('"', stringStart + 1);
+      const positions = processor.selectCursorPositions(code, 'javascript', 1);
+
+      assert.equal(positions.length, 1);
+      assert(positions[0] < stringStart || positions[0] > stringEnd);
+    });
+
+    test('should top up with other node starts when few priority nodes match', () => {
+      const code = 'x = compute()\n';
+      const positions = processor.selectCursorPositions(code, 'python', 3);
+
+      assert.deepEqual(positions, [0, code.indexOf('compute'), code.indexOf('(')]);
+    });
+
+    test('should only pick positions within the given ranges', () => {
+      const code = 'a();\nb();\nc();\nd();\n';
+      const range = [code.indexOf('c'), code.indexOf('d') - 1];
+      const positions = processor.selectCursorPositions(code, 'javascript', 3, { within: [range] });
+
+      assert.equal(positions[0], code.indexOf('c'));
+      positions.forEach(pos => assert(pos >= range[0] && pos <= range[1]));
+      assert.deepEqual(processor.selectCursorPositions(code, 'rust', 3, { within: [range] }), []);
+    });
+
+    test('should keep topped-up positions out of string literals and comments', () => {
+      const code = 'const BASE_URL = "https://api.example.com";\n' +
+        '// retry: after 30s; then give up\n' +
+        'const TIMEOUT = "30s; retry";\n';
+      const opaque = [
+        [code.indexOf('"https'), code.indexOf('com"') + 4],
+        [code.indexOf('// retry'), code.indexOf('give up') + 7],
+        [code.indexOf('"30s'), code.indexOf('retry";') + 6]
+      ];
+      const positions = processor.selectCursorPositions(code, 'javascript', 20);
+
+      assert(positions.length > 3);
+      positions.forEach(pos => assert(!opaque.some(([start, end]) => pos > start && pos < end), `cursor at ${pos}`));
+    });
+
+    test('should use fallback for languages without a grammar', () => {
+      const code = 'fn main() {\n    let x = 1;\n}';
+      assert.deepEqual(
+        processor.selectCursorPositions(code, 'rust', 3),
+        processor._fallbackCursorSelection(code, 3)
+      );
+    });
+
+    test('should find the end of the node starting at a position', () => {
+      const code = 'function greet(name) {\n  log(name);\n}\n';
+      const callStart = code.indexOf('log');
+
+      assert.equal(processor.findNodeEnd(code, 'javascript', callStart), code.indexOf(';') + 1);
+      assert.equal(processor.findNodeEnd(code, 'javascript', 0), code.lastIndexOf('}') + 1);
+    });
+
+    test('should return null for node ends without a grammar', () => {
+      assert.equal(processor.findNodeEnd('fn main() {}', 'rust', 0), null);
+    });
+
+    test('should be safe to call init more than once', async () => {
+      const parserCount = processor.parsers.size;
+      await processor.init();
+      assert.equal(processor.parsers.size, parserCount);
+    });
+  });
+
   describe('configuration', () => {
     test('should have priority nodes defined', () => {
       assert(processor.priorityNodes);
@@ -160,7 +250,7 @@ describe('ASTProcessor', () => {
 
     test('should have hasTreeSitter flag', () => {
       assert.equal(typeof processor.hasTreeSitter, 'boolean');
-      assert.equal(processor.hasTreeSitter, false); // Should be false since we're using fallback
+      assert.equal(processor.hasTreeSitter, false); // Should be false until init() loads grammars
     });
   });
 });
\ No newline at end of file
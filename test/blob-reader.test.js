@@ -0,0 +1,56 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import { assert } from './test-helper.js';
+import { BlobReader } from '../src/utils/blob-reader.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execSync } from 'node:child_process';
+
+describe('BlobReader', () => {
+  let repo;
+  let reader;
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), 'blob-reader-'));
+    execSync('git init -q', { cwd: repo });
+    execSync('git config user.email "test@example.com"', { cwd: repo });
+    execSync('git config user.name "Test User"', { cwd: repo });
+    writeFileSync(join(repo, 'a.js'), 'const a = 1;\n');
+    writeFileSync(join(repo, 'unicode.txt'), 'héllo → wörld\n');
+    execSync('git add . && git commit -q -m "First"', { cwd: repo });
+    writeFileSync(join(repo, 'a.js'), 'const a = 2;\n');
+    execSync('git commit -q -am "Second"', { cwd: repo });
+    reader = new BlobReader(repo);
+  });
+
+  afterEach(async () => {
+    await reader.close();
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('should read files at different revisions', async () => {
+    assert.equal(await reader.read('HEAD', 'a.js'), 'const a = 2;\n');
+    assert.equal(await reader.read('HEAD^', 'a.js'), 'const a = 1;\n');
+  });
+
+  test('should answer concurrent requests in order', async () => {
+    const results = await Promise.all([
+      reader.read('HEAD^', 'a.js'),
+      reader.read('HEAD', 'unicode.txt'),
+      reader.read('HEAD', 'missing.js'),
+      reader.read('HEAD', 'a.js')
+    ]);
+
+    assert.deepEqual(results, ['const a = 1;\n', 'héllo → wörld\n', null, 'const a = 2;\n']);
+  });
+
+  test('should return null for paths that are not blobs', async () => {
+    assert.equal(await reader.read('HEAD', ''), null);
+  });
+
+  test('should reopen after closing', async () => {
+    await reader.read('HEAD', 'a.js');
+    await reader.close();
+    assert.equal(await reader.read('HEAD', 'a.js'), 'const a = 2;\n');
+  });
+});
@@ -112,4 +112,126 @@ describe('CLI Date Parsing', () => {
       rmSync(tempDir, { recursive: true });
     }
   });
-});
\ No newline at end of file
+
+  test('should reject unknown template', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--template', 'not-a-model']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('Unknown template: not-a-model'));
+      assert(result.stderr.includes('codellama'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject out of range spm-rate', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--spm-rate', '1.5']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('spm-rate must be between 0 and 1'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject non-integer seed', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--seed', 'abc']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('seed must be a non-negative integer'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject unknown span strategy', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--span', 'word']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('span must be fixed, random, line, block, or ast'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject non-positive max-context', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--max-context', '0']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('max-context must be a positive number'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should require a tokenizer for token limits', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--max-prompt-tokens', '512']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('max-prompt-tokens requires --tokenizer'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject unknown split-by key', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--split-by', 'author']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('split-by must be example, file, commit, time, or repo'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject reflog with a revision range', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--reflog', '--rev-range', 'v1..v2']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('reflog cannot be combined with rev-range'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject unknown granularity', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--granularity', 'line']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('granularity must be file or hunk'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should reject splits that leave nothing for test', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, '--split', '0.9', '--validation-split', '0.1']);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('split and validation-split must leave examples for test'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should check every repository path', async () => {
+    const tempDir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+    try {
+      const result = await runCLI([tempDir, join(tempDir, 'missing')]);
+      assert.equal(result.code, 1);
+      assert(result.stderr.includes('Repository path does not exist'));
+    } finally {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+});
@@ -0,0 +1,105 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import { assert } from './test-helper.js';
+import { CommitCache } from '../src/commit-cache.js';
+import { EditPair } from '../src/types.js';
+import { mkdtempSync, rmSync, appendFileSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('CommitCache', () => {
+  let dir;
+  let filepath;
+  const key = CommitCache.optionsKey({ fileExtensions: ['.js'] });
+  const pair = new EditPair({
+    before: 'const a = 1;',
+    after: 'const a = 2;',
+    diff: '@@ -1 +1 @@\n-const a = 1;\n+const a = 2;',
+    filepath: 'a.js',
+    commitHash: 'abc',
+    commitMessage: 'Bump a',
+    language: 'javascript'
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'commit-cache-'));
+    filepath = join(dir, 'commit_cache.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should return cached pairs from a new instance', () => {
+    new CommitCache(filepath).set('abc', key, [pair]);
+
+    const cache = new CommitCache(filepath);
+    const [cached] = cache.get('abc', key);
+    assert(cached instanceof EditPair);
+    assert.equal(cached.after, pair.after);
+    assert.equal(cached.commitHash, 'abc');
+    assert.equal(cache.hits, 1);
+  });
+
+  test('should remember commits that produced no pairs', () => {
+    new CommitCache(filepath).set('empty', key, []);
+    assert.deepEqual(new CommitCache(filepath).get('empty', key), []);
+  });
+
+  test('should keep counts of skipped files', () => {
+    new CommitCache(filepath).set('abc', key, [pair], { deleted: 2 });
+
+    const cache = new CommitCache(filepath);
+    assert.deepEqual(cache.getRejected('abc', key), { deleted: 2 });
+    assert.deepEqual(cache.getRejected('def', key), {});
+  });
+
+  test('should keep only file positions in memory', () => {
+    const cache = new CommitCache(filepath);
+    cache.set('abc', key, [pair]);
+    cache.set('def', key, [pair]);
+
+    for (const entry of cache.entries.values()) {
+      assert.equal(entry.pairs, undefined);
+    }
+    assert.equal(cache.get('def', key)[0].after, pair.after);
+    assert.equal(new CommitCache(filepath).get('abc', key)[0].before, pair.before);
+  });
+
+  test('should miss for other commits and other options', () => {
+    const cache = new CommitCache(filepath);
+    cache.set('abc', key, [pair]);
+    assert.equal(cache.get('def', key), null);
+    assert.equal(cache.get('abc', CommitCache.optionsKey({ fileExtensions: ['.py'] })), null);
+    assert.equal(cache.misses, 2);
+  });
+
+  test('should ignore a partial line from an interrupted run', () => {
+    new CommitCache(filepath).set('abc', key, [pair]);
+    appendFileSync(filepath, '{"commit":"def","opt');
+
+    const cache = new CommitCache(filepath);
+    assert.equal(cache.get('def', key), null);
+    cache.set('ghi', key, []);
+
+    assert.deepEqual(new CommitCache(filepath).get('ghi', key), []);
+    assert.equal(readFileSync(filepath, 'utf-8').trim().split('\n').length, 3);
+  });
+
+  test('should load lines longer than one read', () => {
+    const large = new EditPair({ ...pair, after: 'const a = "é";\n'.repeat(100000) });
+    const writer = new CommitCache(filepath);
+    writer.set('abc', key, [pair]);
+    writer.set('big', key, [large]);
+    writer.set('def', key, [pair]);
+
+    const cache = new CommitCache(filepath);
+    assert.equal(cache.get('big', key)[0].after, large.after);
+    assert.equal(cache.get('def', key)[0].after, pair.after);
+  });
+
+  test('should clear the cache file', () => {
+    new CommitCache(filepath).set('abc', key, [pair]);
+    assert.equal(new CommitCache(filepath).clear().get('abc', key), null);
+    assert.equal(new CommitCache(filepath).get('abc', key), null);
+  });
+});
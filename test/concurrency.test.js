@@ -0,0 +1,31 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { mapConcurrent } from '../src/utils/concurrency.js';
+
+describe('mapConcurrent', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('should keep input order when later items finish first', async () => {
+    const results = await mapConcurrent([30, 10, 20, 0], 4, async ms => {
+      await delay(ms);
+      return ms;
+    });
+    assert.deepEqual(results, [30, 10, 20, 0]);
+  });
+
+  test('should limit calls in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    await mapConcurrent(Array.from({ length: 8 }, (_, i) => i), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await delay(5);
+      active--;
+    });
+    assert.equal(peak, 3);
+  });
+
+  test('should handle empty input', async () => {
+    assert.deepEqual(await mapConcurrent([], 4, async x => x), []);
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { computeContextWindow, fitToBudget } from '../src/utils/context-window.js';
+
+describe('computeContextWindow', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${String(i).padStart(2, '0')}\n`);
+  const text = lines.join('');
+  const keepStart = text.indexOf('line 10');
+  const keepEnd = keepStart + lines[10].length;
+
+  test('should keep the whole text when it fits', () => {
+    assert.deepEqual(computeContextWindow(text, keepStart, keepEnd, { maxContext: text.length }), [0, text.length]);
+  });
+
+  test('should trim both sides at line boundaries', () => {
+    const [start, end] = computeContextWindow(text, keepStart, keepEnd, { maxContext: 40 });
+    assert.equal(text.substring(start, keepStart), lines.slice(8, 10).join(''));
+    assert.equal(text.substring(keepEnd, end), lines.slice(11, 13).join(''));
+  });
+
+  test('should split the budget by prefix bias', () => {
+    const [start, end] = computeContextWindow(text, keepStart, keepEnd, { maxContext: 40, prefixBias: 0.75 });
+    // 30 and 10 characters, snapped to whole eight-character lines
+    assert.equal(keepStart - start, 24);
+    assert.equal(end - keepEnd, 8);
+  });
+
+  test('should give unused budget to the other side', () => {
+    // The one-line prefix leaves 32 characters for the suffix
+    assert.deepEqual(computeContextWindow(text, 8, 16, { maxContext: 40 }), [0, 48]);
+  });
+
+  test('should never cut into the kept span', () => {
+    const [start, end] = computeContextWindow(text, keepStart, keepEnd, { maxContext: 3 });
+    assert(start <= keepStart && start >= keepStart - 3);
+    assert(end >= keepEnd && end <= keepEnd + 3);
+  });
+
+  test('should measure with a tokenizer when given', () => {
+    const tokenizer = { count: value => value.split(/\s+/).filter(Boolean).length };
+    const [start, end] = computeContextWindow(text, keepStart, keepEnd, { maxContext: 8, tokenizer });
+    assert.equal(tokenizer.count(text.substring(start, keepStart)), 4);
+    assert.equal(tokenizer.count(text.substring(keepEnd, end)), 4);
+  });
+});
+
+describe('fitToBudget', () => {
+  const text = 'line one\nline two\nline three\n';
+
+  test('should keep text that fits', () => {
+    assert.equal(fitToBudget(text, text.length), text);
+  });
+
+  test('should cut after the last whole line that fits', () => {
+    assert.equal(fitToBudget(text, 20), 'line one\nline two\n');
+  });
+
+  test('should keep nothing when the first line does not fit', () => {
+    assert.equal(fitToBudget(text, 5), '');
+  });
+});
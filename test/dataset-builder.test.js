@@ -1,9 +1,9 @@
 import { test, describe, beforeEach, afterEach } from 'node:test';
 import { assert } from './test-helper.js';
 import { DatasetBuilder } from '../src/dataset-builder.js';
-import { FIMFormat } from '../src/types.js';
-import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
-import { join } from 'node:path';
+import { FIMFormat, CursorStrategy } from '../src/types.js';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, existsSync, rmSync } from 'node:fs';
+import { join, basename } from 'node:path';
 import { tmpdir } from 'node:os';
 import { execSync } from 'node:child_process';
 
@@ -94,6 +94,45 @@ function calculateAverage(numbers) {
   });
 
   describe('buildKTODataset', () => {
+    test('should build write-from-scratch examples from added files', async () => {
+      writeFileSync(join(tempRepoDir, 'stats.js'), `function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}`);
+      execSync('git add . && git commit -qm "Add median"', { cwd: tempRepoDir });
+
+      const skipped = await builder.buildKTODataset({ maxCommits: 10, fimFormat: FIMFormat.PSM });
+      // stats.js and math.js from the root commit
+      assert.equal(skipped.rejectedFiles.added, 2);
+      assert.equal(skipped.includeAdded, false);
+
+      const stats = await builder.buildKTODataset({ maxCommits: 10, fimFormat: FIMFormat.PSM, includeAdded: true });
+      assert.equal(stats.rejectedFiles.added, undefined);
+      const examples = ['train_kto.jsonl', 'test_kto.jsonl']
+        .flatMap(name => readFileSync(join(tempOutputDir, name), 'utf-8').split('\n').filter(Boolean))
+        .map(line => JSON.parse(line));
+      assert(examples.some(example => example.metadata.changeType === 'added' && example.metadata.filepath === 'stats.js'));
+    });
+
+    test('should record hunk windows in metadata', async () => {
+      const stats = await builder.buildKTODataset({
+        maxCommits: 10,
+        fimFormat: FIMFormat.PSM,
+        granularity: 'hunk',
+        hunkContext: 3
+      });
+
+      assert(!stats.error);
+      assert.equal(stats.granularity, 'hunk');
+      assert.equal(stats.hunkContext, 3);
+      const examples = ['train_kto.jsonl', 'test_kto.jsonl']
+        .flatMap(name => readFileSync(join(tempOutputDir, name), 'utf-8').split('\n').filter(Boolean))
+        .map(line => JSON.parse(line));
+      assert(examples.length > 0);
+      assert(examples.every(example => example.metadata.hunk && example.metadata.hunk.afterStart >= 1));
+    });
+
     test('should generate KTO dataset files', async () => {
       const stats = await builder.buildKTODataset({
         maxCommits: 10,
@@ -162,6 +201,106 @@ function calculateAverage(numbers) {
       rmSync(emptyRepo, { recursive: true });
     });
 
+    test('should place cursors in changed lines with diff strategy', async () => {
+      const stats = await builder.buildKTODataset({
+        maxCommits: 10,
+        fimFormat: FIMFormat.ZED,
+        cursorStrategy: CursorStrategy.DIFF
+      });
+
+      assert(!stats.error);
+      assert.equal(stats.cursorStrategy, CursorStrategy.DIFF);
+
+      const content = readFileSync(join(tempOutputDir, 'train_kto.jsonl'), 'utf-8') +
+        readFileSync(join(tempOutputDir, 'test_kto.jsonl'), 'utf-8');
+      content.trim().split('\n').forEach(line => {
+        assert.equal(JSON.parse(line).metadata.cursorStrategy, CursorStrategy.DIFF);
+      });
+    });
+
+    test('should render prompts with the selected template', async () => {
+      const stats = await builder.buildKTODataset({
+        maxCommits: 10,
+        fimFormat: FIMFormat.PSM,
+        template: 'codellama'
+      });
+
+      assert(!stats.error);
+      assert.equal(stats.template, 'codellama');
+
+      const content = readFileSync(join(tempOutputDir, 'train_kto.jsonl'), 'utf-8');
+      content.trim().split('\n').forEach(line => {
+        const obj = JSON.parse(line);
+        assert(obj.prompt.startsWith('<PRE> '));
+        assert.equal(obj.metadata.template, 'codellama');
+      });
+    });
+
+    test('should produce identical output for the same seed', async () => {
+      const runWithSeed = async (seed) => {
+        const outputDir = mkdtempSync(join(tmpdir(), 'test-output-'));
+        try {
+          const seeded = new DatasetBuilder(tempRepoDir, outputDir, { seed });
+          const stats = await seeded.buildKTODataset({ maxCommits: 10, fimFormat: FIMFormat.MIXED });
+          assert.equal(stats.seed, seed);
+          return readFileSync(join(outputDir, 'train_kto.jsonl'), 'utf-8') +
+            readFileSync(join(outputDir, 'test_kto.jsonl'), 'utf-8');
+        } finally {
+          rmSync(outputDir, { recursive: true });
+        }
+      };
+
+      assert.equal(await runWithSeed(1234), await runWithSeed(1234));
+    });
+
+    test('should record token counts and enforce token limits', async () => {
+      const words = { name: 'words', count: text => text.split(/\s+/).filter(Boolean).length };
+      const tokenized = new DatasetBuilder(tempRepoDir, tempOutputDir, { seed: 7, tokenizer: words });
+      const stats = await tokenized.buildKTODataset({
+        maxCommits: 10,
+        fimFormat: FIMFormat.PSM,
+        maxCompletionTokens: 6
+      });
+
+      assert(!stats.error);
+      assert.equal(stats.tokens.tokenizer, 'words');
+      assert.equal(stats.tokens.completion.count, stats.totalExamples);
+      assert(stats.tokens.completion.max <= 6);
+      assert(Object.keys(stats.tokens.prompt.histogram).length > 0);
+
+      const content = readFileSync(join(tempOutputDir, 'train_kto.jsonl'), 'utf-8');
+      content.trim().split('\n').forEach(line => {
+        const { prompt, completion, metadata } = JSON.parse(line);
+        assert.equal(metadata.promptTokens, words.count(prompt));
+        assert.equal(metadata.completionTokens, words.count(completion));
+      });
+    });
+
+    test('should require a tokenizer for token limits', async () => {
+      const stats = await builder.buildKTODataset({ maxCommits: 10, maxPromptTokens: 100 });
+      assert.equal(stats.error, 'Token limits require a tokenizer');
+    });
+
+    test('should reuse mined commits on later runs', async () => {
+      const first = await builder.buildKTODataset({ maxCommits: 10 });
+      assert.equal(first.cachedCommits, 0);
+      assert(existsSync(join(tempOutputDir, 'commit_cache.jsonl')));
+
+      const rerun = new DatasetBuilder(tempRepoDir, tempOutputDir);
+      const stats = await rerun.buildKTODataset({ maxCommits: 10 });
+      assert(stats.cachedCommits > 0);
+      assert.equal(stats.positiveExamples, first.positiveExamples);
+
+      const uncached = new DatasetBuilder(tempRepoDir, tempOutputDir, { cache: false });
+      assert.equal((await uncached.buildKTODataset({ maxCommits: 10 })).cachedCommits, 0);
+    });
+
+    test('should not leave shuffle files in the output directory', async () => {
+      await builder.buildKTODataset({ maxCommits: 10 });
+      const leftovers = readdirSync(tempOutputDir).filter(name => name.startsWith('.shuffle-'));
+      assert.deepEqual(leftovers, []);
+    });
+
     test('should write valid JSONL format', async () => {
       await builder.buildKTODataset({
         maxCommits: 5,
@@ -198,6 +337,18 @@ function calculateAverage(numbers) {
       assert(existsSync(join(tempOutputDir, 'dpo_stats.json')));
     });
 
+    test('should report chosen and rejected token histograms', async () => {
+      const words = { name: 'words', count: text => text.split(/\s+/).filter(Boolean).length };
+      const tokenized = new DatasetBuilder(tempRepoDir, tempOutputDir, { tokenizer: words });
+      const stats = await tokenized.buildDPODataset({ maxCommits: 10, fimFormat: FIMFormat.PSM });
+
+      assert(!stats.error);
+      const written = JSON.parse(readFileSync(join(tempOutputDir, 'dpo_stats.json'), 'utf-8'));
+      assert.equal(written.tokens.prompt.count, stats.totalExamples);
+      assert.equal(written.tokens.chosen.count, stats.totalExamples);
+      assert.equal(written.tokens.rejected.count, stats.totalExamples);
+    });
+
     test('should create chosen/rejected pairs', async () => {
       await builder.buildDPODataset({
         maxCommits: 5,
@@ -217,6 +368,62 @@ function calculateAverage(numbers) {
     });
   });
 
+  describe('buildDatasets', () => {
+    test('should build KTO and DPO from one pass over the history', async () => {
+      let passes = 0;
+      const iterate = builder.gitMiner.iterateEditPairs.bind(builder.gitMiner);
+      builder.gitMiner.iterateEditPairs = (...args) => {
+        passes++;
+        return iterate(...args);
+      };
+
+      const { kto, dpo } = await builder.buildDatasets({ maxCommits: 10, fimFormat: FIMFormat.PSM });
+
+      assert.equal(passes, 1);
+      assert(!kto.error && !dpo.error);
+      assert(existsSync(join(tempOutputDir, 'train_kto.jsonl')));
+      assert(existsSync(join(tempOutputDir, 'train_dpo.jsonl')));
+      assert(existsSync(join(tempOutputDir, 'kto_stats.json')));
+      assert(existsSync(join(tempOutputDir, 'dpo_stats.json')));
+    });
+
+    test('should take DPO chosen completions from the KTO positives', async () => {
+      await builder.buildDatasets({ maxCommits: 10, fimFormat: FIMFormat.PSM, trainTestSplit: 0.5 });
+
+      const read = name => readFileSync(join(tempOutputDir, name), 'utf-8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+      const positives = new Set([...read('train_kto.jsonl'), ...read('test_kto.jsonl')]
+        .filter(example => example.label)
+        .map(example => example.prompt + example.completion));
+      const dpo = [...read('train_dpo.jsonl'), ...read('test_dpo.jsonl')];
+
+      assert(dpo.length > 0);
+      dpo.forEach(example => assert(positives.has(example.prompt + example.chosen)));
+    });
+
+    test('should not always take the first cursor placement for DPO', async () => {
+      const chosen = new Set();
+      const sink = { shuffle: { add: async ({ example }) => chosen.add(example.chosen) }, generated: 0, kept: 0, splitBy: null };
+      const examples = ['a', 'b', 'c'].map(completion => ({ prompt: 'p', completion, metadata: {} }));
+
+      for (let i = 0; i < 20; i++) {
+        await builder._collectDPO(sink, examples, { language: 'javascript' }, {});
+      }
+      assert(chosen.size > 1);
+    });
+
+    test('should report mining errors for both datasets', async () => {
+      const emptyRepo = mkdtempSync(join(tmpdir(), 'empty-'));
+      try {
+        execSync('git init', { cwd: emptyRepo });
+        const results = await new DatasetBuilder(emptyRepo, tempOutputDir).buildDatasets({ maxCommits: 10 });
+        assert.equal(results.kto.error, 'No valid edit pairs found');
+        assert.equal(results.dpo.error, 'No valid edit pairs found');
+      } finally {
+        rmSync(emptyRepo, { recursive: true });
+      }
+    });
+  });
+
   describe('_saveDataset', () => {
     test('should save examples to JSONL file', () => {
       const examples = [
@@ -262,6 +469,213 @@ function calculateAverage(numbers) {
     });
   });
 
+  describe('Multiple Repositories', () => {
+    let secondRepoDir;
+
+    beforeEach(() => {
+      secondRepoDir = createTestRepo();
+    });
+
+    afterEach(() => {
+      rmSync(secondRepoDir, { recursive: true, force: true });
+    });
+
+    const read = name => readFileSync(join(tempOutputDir, name), 'utf-8')
+      .split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    test('should combine repositories and tag examples with their repo', async () => {
+      const multi = new DatasetBuilder([tempRepoDir, { path: secondRepoDir, name: 'second' }], tempOutputDir);
+      const stats = await multi.buildKTODataset({ maxCommits: 10, fimFormat: FIMFormat.PSM });
+
+      assert(!stats.error, stats.error);
+      const repos = new Set([...read('train_kto.jsonl'), ...read('test_kto.jsonl')].map(example => example.metadata.repo));
+      assert.deepEqual([...repos].sort(), [basename(tempRepoDir), 'second'].sort());
+
+      for (const name of repos) {
+        const repoStats = stats.repos[name];
+        assert(repoStats.editPairs > 0);
+        assert.equal(repoStats.trainExamples + repoStats.testExamples, repoStats.examples);
+      }
+      assert.equal(stats.repos.second.examples + stats.repos[basename(tempRepoDir)].examples, stats.totalExamples);
+    });
+
+    test('should cap edit pairs per repository', async () => {
+      for (let i = 0; i < 3; i++) {
+        writeFileSync(join(secondRepoDir, 'math.js'), `function calculateProduct(numbers) {
+    let product = ${i + 1};
+    for (const num of numbers) {
+        product *= num;
+    }
+    return product;
+}`);
+        execSync(`git commit -qam "Product ${i}"`, { cwd: secondRepoDir });
+      }
+
+      const multi = new DatasetBuilder([tempRepoDir, { path: secondRepoDir, name: 'second', maxEditPairs: 2 }], tempOutputDir);
+      const stats = await multi.buildDPODataset({ maxCommits: 10, maxEditPairsPerRepo: 1 });
+
+      assert.equal(stats.repos.second.editPairs, 2);
+      assert.equal(stats.repos[basename(tempRepoDir)].editPairs, 1);
+      assert.equal(stats.maxEditPairsPerRepo, 1);
+    });
+
+    test('should mine each repository with its own extensions', async () => {
+      const multi = new DatasetBuilder([tempRepoDir, { path: secondRepoDir, name: 'second', extensions: ['.py'] }], tempOutputDir);
+      const stats = await multi.buildKTODataset({ maxCommits: 10 });
+
+      assert.equal(stats.repos.second.editPairs, 0);
+      assert.equal(stats.repos.second.examples, 0);
+      assert(stats.repos[basename(tempRepoDir)].editPairs > 0);
+    });
+  });
+
+  describe('Split Strategies', () => {
+    let splitRepoDir;
+    let splitOutputDir;
+
+    const source = (name, i) => `function ${name}Total(items) {
+    let total = ${i};
+    for (const item of items) {
+        total += item.value * ${i + 1};
+    }
+    return total;
+}
+
+function ${name}Average(items) {
+    return ${name}Total(items) / (items.length + ${i});
+}`;
+
+    beforeEach(() => {
+      splitRepoDir = mkdtempSync(join(tmpdir(), 'split-repo-'));
+      splitOutputDir = mkdtempSync(join(tmpdir(), 'split-output-'));
+      execSync('git init', { cwd: splitRepoDir });
+      execSync('git config user.email "test@example.com"', { cwd: splitRepoDir });
+      execSync('git config user.name "Test User"', { cwd: splitRepoDir });
+
+      for (let i = 0; i < 5; i++) {
+        const date = `2024-0${i + 1}-15T00:00:00`;
+        for (const name of ['alpha', 'beta', 'gamma']) {
+          writeFileSync(join(splitRepoDir, `${name}.js`), source(name, i));
+        }
+        execSync('git add .', { cwd: splitRepoDir });
+        execSync(`git commit --date="${date}" -m "Update ${i}"`, {
+          cwd: splitRepoDir,
+          env: { ...process.env, GIT_COMMITTER_DATE: date }
+        });
+      }
+    });
+
+    afterEach(() => {
+      rmSync(splitRepoDir, { recursive: true, force: true });
+      rmSync(splitOutputDir, { recursive: true, force: true });
+    });
+
+    const read = name => readFileSync(join(splitOutputDir, name), 'utf-8')
+      .split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    const build = options => new DatasetBuilder(splitRepoDir, splitOutputDir, { seed: 3 })
+      .buildKTODataset({ maxCommits: 10, fimFormat: FIMFormat.PSM, trainTestSplit: 0.6, ...options });
+
+    for (const [splitBy, key] of [['file', 'filepath'], ['commit', 'commit']]) {
+      test(`should keep each ${splitBy} on one side of the split`, async () => {
+        const stats = await build({ splitBy });
+
+        assert(!stats.error, stats.error);
+        assert.equal(stats.splitBy, splitBy);
+        const train = new Set(read('train_kto.jsonl').map(example => example.metadata[key]));
+        const test = new Set(read('test_kto.jsonl').map(example => example.metadata[key]));
+        assert(train.size > 0 && test.size > 0);
+        for (const value of test) {
+          assert(!train.has(value), `${value} is in both splits`);
+        }
+      });
+    }
+
+    test('should put the newest commits in test for time splits', async () => {
+      const stats = await build({ splitBy: 'time' });
+
+      assert(!stats.error, stats.error);
+      const dates = name => read(name).map(example => Date.parse(example.metadata.commitDate));
+      const train = dates('train_kto.jsonl');
+      const test = dates('test_kto.jsonl');
+      assert(train.length > 0 && test.length > 0);
+      assert(Math.max(...train) < Math.min(...test));
+    });
+
+    test('should keep a single repository on one side for repo splits', async () => {
+      const stats = await build({ splitBy: 'repo' });
+
+      assert.equal(stats.splitBy, 'repo');
+      assert.equal(stats.testExamples, 0);
+      assert.equal(stats.trainExamples, stats.totalExamples);
+    });
+
+    test('should keep grouped DPO splits apart', async () => {
+      const stats = await new DatasetBuilder(splitRepoDir, splitOutputDir, { seed: 3 })
+        .buildDPODataset({ maxCommits: 10, trainTestSplit: 0.6, splitBy: 'file' });
+
+      assert.equal(stats.splitBy, 'file');
+      const train = new Set(read('train_dpo.jsonl').map(example => example.metadata.filepath));
+      read('test_dpo.jsonl').forEach(example => assert(!train.has(example.metadata.filepath)));
+    });
+
+    test('should write a grouped validation split', async () => {
+      const stats = await build({ splitBy: 'file', trainTestSplit: 0.4, validationSplit: 0.3 });
+
+      assert(!stats.error, stats.error);
+      assert.equal(stats.trainExamples + stats.validationExamples + stats.testExamples, stats.totalExamples);
+      const files = name => new Set(read(name).map(example => example.metadata.filepath));
+      const splits = ['train_kto.jsonl', 'validation_kto.jsonl', 'test_kto.jsonl'].map(files);
+      splits.forEach(split => assert(split.size > 0));
+      assert.equal(splits.reduce((sum, split) => sum + split.size, 0), 3);
+    });
+
+    test('should not write a validation file by default', async () => {
+      const stats = await build({});
+
+      assert.equal(stats.validationExamples, undefined);
+      assert(!existsSync(join(splitOutputDir, 'validation_kto.jsonl')));
+    });
+
+    test('should write k folds that each hold out a different group', async () => {
+      const stats = await build({ splitBy: 'commit', folds: 3 });
+
+      assert(!stats.error, stats.error);
+      assert.equal(stats.folds, 3);
+      assert.equal(stats.foldExamples.length, 3);
+      const key = example => example.prompt + example.completion + example.label;
+      const heldOut = [];
+      for (const { fold, trainExamples, testExamples } of stats.foldExamples) {
+        const train = read(`fold_${fold}/train_kto.jsonl`);
+        const test = read(`fold_${fold}/test_kto.jsonl`);
+        assert.equal(train.length, trainExamples);
+        assert.equal(test.length, testExamples);
+        assert.equal(train.length + test.length, stats.totalExamples);
+
+        const trainCommits = new Set(train.map(example => example.metadata.commit));
+        test.forEach(example => assert(!trainCommits.has(example.metadata.commit)));
+        heldOut.push(...test.map(key));
+      }
+      // Every example is held out by exactly one fold
+      assert.equal(new Set(heldOut).size, heldOut.length);
+    });
+
+    test('should reject folds combined with a validation split', async () => {
+      const stats = await build({ folds: 3, validationSplit: 0.1 });
+      assert.match(stats.error, /cannot be combined with folds/);
+    });
+
+    test('should reject splits that leave nothing for test', async () => {
+      const stats = await build({ trainTestSplit: 0.8, validationSplit: 0.2 });
+      assert.match(stats.error, /must leave examples for test/);
+    });
+
+    test('should reject unknown split strategies', async () => {
+      const stats = await build({ splitBy: 'author' });
+      assert.match(stats.error, /Invalid split strategy/);
+    });
+  });
+
   describe('Date Filtering', () => {
     let dateRepoDir;
     let dateOutputDir;
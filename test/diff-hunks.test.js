@@ -0,0 +1,167 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { parseDiffHunks, getChangedLineRanges, mapLineRangeToOld, splitHunkWindows } from '../src/utils/diff-hunks.js';
+
+describe('diff-hunks', () => {
+  const diff = `diff --git a/math.js b/math.js
+index 1111111..2222222 100644
+--- a/math.js
++++ b/math.js
+@@ -1,4 +1,5 @@
+ function add(a, b) {
+-  return a + b;
++  const sum = a + b;
++  return sum;
+ }
+ 
+@@ -10,3 +11,4 @@ function sub(a, b) {
+ function mul(a, b) {
+   return a * b;
+ }
++export { add, mul };`;
+
+  describe('parseDiffHunks', () => {
+    test('should parse hunk headers', () => {
+      const hunks = parseDiffHunks(diff);
+      assert.equal(hunks.length, 2);
+      assert.equal(hunks[0].oldStart, 1);
+      assert.equal(hunks[0].oldLines, 4);
+      assert.equal(hunks[0].newStart, 1);
+      assert.equal(hunks[0].newLines, 5);
+      assert.equal(hunks[1].newStart, 11);
+    });
+
+    test('should collect hunk lines without file headers', () => {
+      const [first] = parseDiffHunks(diff);
+      assert.equal(first.lines.length, 6);
+      assert(!first.lines.some(line => line.startsWith('+++') || line.startsWith('---')));
+    });
+
+    test('should default omitted line counts to one', () => {
+      const [hunk] = parseDiffHunks('@@ -3 +3 @@\n-a\n+b');
+      assert.equal(hunk.oldLines, 1);
+      assert.equal(hunk.newLines, 1);
+    });
+
+    test('should handle empty or headerless diffs', () => {
+      assert.deepEqual(parseDiffHunks(''), []);
+      assert.deepEqual(parseDiffHunks(null), []);
+      assert.deepEqual(parseDiffHunks('-old\n+new'), []);
+    });
+  });
+
+  describe('getChangedLineRanges', () => {
+    test('should return runs of added lines in new file numbering', () => {
+      assert.deepEqual(getChangedLineRanges(diff), [
+        { startLine: 2, endLine: 3 },
+        { startLine: 14, endLine: 14 }
+      ]);
+    });
+
+    test('should ignore pure deletions', () => {
+      const deletion = '@@ -1,3 +1,2 @@\n a\n-b\n c';
+      assert.deepEqual(getChangedLineRanges(deletion), []);
+    });
+
+    test('should ignore no-newline markers', () => {
+      const noNewline = '@@ -1 +1,2 @@\n-a\n\\ No newline at end of file\n+a\n+b';
+      assert.deepEqual(getChangedLineRanges(noNewline), [{ startLine: 1, endLine: 2 }]);
+    });
+  });
+
+  describe('mapLineRangeToOld', () => {
+    test('should map replaced lines to the lines they replaced', () => {
+      assert.deepEqual(mapLineRangeToOld(diff, 2, 3), { startLine: 2, endLine: 2 });
+    });
+
+    test('should shift unchanged lines by earlier hunks', () => {
+      assert.deepEqual(mapLineRangeToOld(diff, 12, 13), { startLine: 11, endLine: 12 });
+    });
+
+    test('should map pure insertions to an empty range', () => {
+      assert.deepEqual(mapLineRangeToOld(diff, 14, 14), { startLine: 13, endLine: 12 });
+    });
+
+    test('should include deleted lines at the edges of the range', () => {
+      const deletion = '@@ -1,4 +1,3 @@\n a\n-b\n+c\n-d\n e';
+      assert.deepEqual(mapLineRangeToOld(deletion, 2, 2), { startLine: 2, endLine: 3 });
+    });
+
+    test('should return the same range when there are no hunks', () => {
+      assert.deepEqual(mapLineRangeToOld('', 5, 7), { startLine: 5, endLine: 7 });
+    });
+  });
+
+  describe('splitHunkWindows', () => {
+    const lines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}\n`);
+    const before = lines(40).join('');
+    const edited = lines(40);
+    edited[4] = 'changed 5\n';
+    edited[34] = 'changed 35\n';
+    const after = edited.join('');
+    const fileDiff = [
+      '@@ -4,3 +4,3 @@',
+      ' line 4', '-line 5', '+changed 5', ' line 6',
+      '@@ -34,3 +34,3 @@',
+      ' line 34', '-line 35', '+changed 35', ' line 36'
+    ].join('\n');
+
+    test('should cut one window per distant hunk', () => {
+      const windows = splitHunkWindows(before, after, fileDiff, 2);
+
+      assert.equal(windows.length, 2);
+      assert.equal(windows[0].before, lines(7).slice(2).join(''));
+      assert.equal(windows[0].after, edited.slice(2, 7).join(''));
+      assert.equal(windows[1].after, edited.slice(32, 37).join(''));
+      assert.deepEqual(windows[1].range, {
+        beforeStart: 33,
+        beforeEnd: 37,
+        afterStart: 33,
+        afterEnd: 37,
+        hunks: [{ oldStart: 34, oldLines: 3, newStart: 34, newLines: 3 }]
+      });
+    });
+
+    test('should renumber hunks from the start of the window', () => {
+      const [, second] = splitHunkWindows(before, after, fileDiff, 2);
+
+      assert(second.diff.startsWith('@@ -2,3 +2,3 @@'));
+      assert.deepEqual(getChangedLineRanges(second.diff), [{ startLine: 3, endLine: 3 }]);
+      assert.equal(second.after.split('\n')[2], 'changed 35');
+    });
+
+    test('should measure context from the changed lines, not git\'s context', () => {
+      const [first] = splitHunkWindows(before, after, fileDiff, 0);
+
+      assert.equal(first.before, 'line 5\n');
+      assert.equal(first.after, 'changed 5\n');
+      assert.equal(first.diff, '@@ -1,1 +1,1 @@\n-line 5\n+changed 5');
+      assert.equal(splitHunkWindows(before, after, fileDiff, 4)[0].range.afterEnd, 9);
+    });
+
+    test('should merge hunks whose windows touch', () => {
+      const windows = splitHunkWindows(before, after, fileDiff, 15);
+
+      assert.equal(windows.length, 1);
+      assert.equal(windows[0].range.hunks.length, 2);
+      assert.equal(windows[0].range.afterStart, 1);
+      assert.equal(windows[0].range.afterEnd, 40);
+      assert.equal(windows[0].after, after);
+    });
+
+    test('should clamp windows to the file', () => {
+      const [first] = splitHunkWindows(before, after, fileDiff, 100);
+
+      assert.equal(first.before, before);
+      assert.equal(first.range.beforeStart, 1);
+    });
+
+    test('should handle pure insertions and files without a before', () => {
+      const [window] = splitHunkWindows('', 'a\nb\n', '@@ -0,0 +1,2 @@\n+a\n+b', 5);
+
+      assert.equal(window.before, '');
+      assert.equal(window.after, 'a\nb\n');
+      assert.equal(window.range.beforeEnd, 0);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import { assert } from './test-helper.js';
+import { ExternalShuffle } from '../src/utils/external-shuffle.js';
+import { JsonlWriter } from '../src/utils/jsonl-writer.js';
+import { SeededRandom } from '../src/utils/random.js';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('ExternalShuffle', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'shuffle-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const shuffled = async (seed, count = 200, options = {}) => {
+    const shuffle = new ExternalShuffle(dir, { rng: new SeededRandom(seed), buckets: 4, ...options });
+    for (let i = 0; i < count; i++) {
+      await shuffle.add({ id: i });
+    }
+
+    const ids = [];
+    for await (const record of shuffle.drain()) {
+      ids.push(record.id);
+    }
+    await shuffle.cleanup();
+    return ids;
+  };
+
+  test('should yield every record exactly once', async () => {
+    const ids = await shuffled(1);
+    assert.equal(ids.length, 200);
+    assert.deepEqual([...ids].sort((a, b) => a - b), Array.from({ length: 200 }, (_, i) => i));
+  });
+
+  test('should change the order', async () => {
+    const ids = await shuffled(1);
+    assert.notDeepEqual(ids, Array.from({ length: 200 }, (_, i) => i));
+  });
+
+  test('should be reproducible with the same seed', async () => {
+    assert.deepEqual(await shuffled(5), await shuffled(5));
+  });
+
+  test('should split buckets larger than maxBucketBytes', async () => {
+    const ids = await shuffled(3, 200, { maxBucketBytes: 100 });
+    assert.deepEqual([...ids].sort((a, b) => a - b), Array.from({ length: 200 }, (_, i) => i));
+    assert.deepEqual(await shuffled(3, 200, { maxBucketBytes: 100 }), ids);
+    assert.deepEqual(readdirSync(dir), []);
+  });
+
+  test('should remove its bucket files', async () => {
+    await shuffled(1, 10);
+    assert.deepEqual(readdirSync(dir), []);
+  });
+});
+
+describe('JsonlWriter', () => {
+  test('should write one JSON record per line', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'jsonl-'));
+    try {
+      const writer = new JsonlWriter(join(dir, 'out.jsonl'));
+      await writer.write({ a: 1 });
+      await writer.write({ b: 'two\nlines' });
+      await writer.close();
+
+      assert.equal(writer.count, 2);
+      assert.equal(readFileSync(join(dir, 'out.jsonl'), 'utf-8'), '{"a":1}\n{"b":"two\\nlines"}\n');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,6 +1,7 @@
 import { test, describe } from 'node:test';
 import { FIMExampleBuilder } from '../src/builders/fim-example-builder.js';
-import { FIMFormat } from '../src/types.js';
+import { FIMFormat, SpanStrategy } from '../src/types.js';
+import { SeededRandom } from '../src/utils/random.js';
 import { ok, equal, deepEqual, throws } from './test-helper.js';
 
 describe('FIMExampleBuilder', () => {
@@ -12,7 +13,9 @@ describe('FIMExampleBuilder', () => {
     filepath: 'test.js',
     commitHash: 'abc123',
     language: 'javascript',
-    commitMessage: 'Add greeting function'
+    commitMessage: 'Add greeting function',
+    author: 'Ada Lovelace',
+    authorEmail: 'ada@example.com'
   };
 
   describe('Builder Pattern Flow', () => {
@@ -309,6 +312,453 @@ describe('FIMExampleBuilder', () => {
     });
   });
 
+  describe('Prompt Templates', () => {
+    const build = (format, template) => new FIMExampleBuilder()
+      .withCode(sampleCode)
+      .withCursor(21)
+      .withEditableRegion(0, sampleCode.length - 1)
+      .withFormat(format)
+      .withTemplate(template)
+      .build();
+
+    test('should use template tokens in PSM prompts', () => {
+      const example = build(FIMFormat.PSM, 'codellama');
+      ok(example.prompt.startsWith('<PRE> function greet(name) '));
+      ok(example.prompt.includes(' <SUF>'));
+      ok(example.prompt.endsWith(' <MID>'));
+      ok(!example.prompt.includes('<|fim_prefix|>'));
+    });
+
+    test('should use template tokens in SPM prompts', () => {
+      const example = build(FIMFormat.SPM, 'deepseek');
+      ok(example.prompt.startsWith('<｜fim▁hole｜>'));
+      ok(example.prompt.indexOf('<｜fim▁hole｜>') < example.prompt.indexOf('<｜fim▁begin｜>'));
+      ok(example.prompt.endsWith('<｜fim▁end｜>'));
+    });
+
+    test('should keep the completion independent of the template', () => {
+      equal(build(FIMFormat.PSM, 'codellama').completion, build(FIMFormat.PSM, 'default').completion);
+    });
+
+    test('should reject unknown templates', () => {
+      throws(() => new FIMExampleBuilder().withTemplate('missing'), /Unknown template/);
+    });
+  });
+
+  describe('Context Files', () => {
+    const code = 'export function run() {\n  return add(1, 2);\n}\n';
+    const contextFiles = [{ filepath: 'lib/util.js', content: 'export const add = (a, b) => a + b;' }];
+
+    const build = (format, template = 'default') => new FIMExampleBuilder()
+      .withCode(code)
+      .withCursor(code.indexOf('add'))
+      .withEditableRegion(0, code.length - 1)
+      .withFormat(format)
+      .withTemplate(template)
+      .withMetadata({ ...sampleEditPair, filepath: 'lib/app.js' })
+      .withContextFiles(contextFiles, 'my-repo')
+      .build();
+
+    test('should render context files ahead of PSM prompts', () => {
+      const example = build(FIMFormat.PSM);
+      ok(example.prompt.startsWith(
+        '<|repo_name|>my-repo\n' +
+        '<|file_sep|>lib/util.js\nexport const add = (a, b) => a + b;\n' +
+        '<|file_sep|>lib/app.js\n<|fim_prefix|>export function run()'
+      ));
+      deepEqual(example.metadata.contextFiles, ['lib/util.js']);
+    });
+
+    test('should render context files ahead of SPM prompts', () => {
+      ok(build(FIMFormat.SPM).prompt.includes('<|file_sep|>lib/app.js\n<|fim_suffix|>'));
+    });
+
+    test('should use path headers for templates without a file separator', () => {
+      const example = build(FIMFormat.PSM, 'deepseek');
+      ok(example.prompt.startsWith('# lib/util.js\nexport const add'));
+      ok(example.prompt.includes('# lib/app.js\n<｜fim▁begin｜>'));
+    });
+
+    test('should leave ZED prompts unchanged', () => {
+      const example = build(FIMFormat.ZED);
+      ok(!example.prompt.includes('lib/util.js'));
+      equal(example.metadata.contextFiles, undefined);
+    });
+
+    describe('under a context budget', () => {
+      const files = [
+        { filepath: 'lib/a.js', content: 'export const a = 1;\n' },
+        { filepath: 'lib/b.js', content: 'export const b = 2;\nexport const c = 3;\n' },
+        { filepath: 'lib/d.js', content: 'export const d = 4;\n' }
+      ];
+      const buildWithin = budget => new FIMExampleBuilder()
+        .withCode(code)
+        .withCursor(code.indexOf('add'))
+        .withEditableRegion(0, code.length - 1)
+        .withFormat(FIMFormat.PSM)
+        .withMetadata({ ...sampleEditPair, filepath: 'lib/app.js' })
+        .withContextBudget({ maxContext: budget })
+        .withContextFiles(files, 'my-repo')
+        .build();
+
+      // Room for the file's prefix and suffix, the headers, lib/a.js and one line of lib/b.js
+      const fileLength = code.length - buildWithin(code.length).metadata.middleLength;
+      const maxContext = fileLength + '<|repo_name|>my-repo\n<|file_sep|>lib/app.js\n'.length +
+        '<|file_sep|>lib/a.js\nexport const a = 1;\n'.length + '<|file_sep|>lib/b.js\nexport const b = 2;\n'.length;
+
+      test('should trim the first file over budget and drop the rest', () => {
+        const example = buildWithin(maxContext);
+        ok(example.prompt.includes('<|file_sep|>lib/b.js\nexport const b = 2;\n<|file_sep|>lib/app.js\n'));
+        ok(!example.prompt.includes('export const c'));
+        ok(!example.prompt.includes('lib/d.js'));
+        deepEqual(example.metadata.contextFiles, ['lib/a.js', 'lib/b.js']);
+        equal(example.metadata.trimmedContextFile, 'lib/b.js');
+        deepEqual(example.metadata.contextWindow, [0, code.length]);
+      });
+
+      test('should drop a file when not even its first line fits', () => {
+        const example = buildWithin(maxContext - 1);
+        ok(!example.prompt.includes('lib/b.js'));
+        deepEqual(example.metadata.contextFiles, ['lib/a.js']);
+        equal(example.metadata.trimmedContextFile, undefined);
+      });
+
+      test('should leave out context files when the file fills the budget', () => {
+        const example = buildWithin(fileLength);
+        ok(example.prompt.startsWith('<|fim_prefix|>'));
+        equal(example.metadata.contextFiles, undefined);
+      });
+    });
+  });
+
+  describe('Recent Edits', () => {
+    const edits = [
+      { filepath: 'test.js', diff: '@@ -1 +1 @@\n-function hi(name) {\n+function greet(name) {' }
+    ];
+
+    test('should render recent edits before the ZED excerpt', () => {
+      const example = new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(21)
+        .withEditableRegion(0, sampleCode.length - 1)
+        .withFormat(FIMFormat.ZED)
+        .withRecentEdits(edits)
+        .build();
+
+      ok(example.prompt.startsWith('### User Edits:\n\nUser edited "test.js":\n```diff\n@@ -1 +1 @@'));
+      ok(example.prompt.includes('```\n\n### User Excerpt:\n\n<|editable_region_start|>'));
+      ok(example.context.startsWith('### User Edits:'));
+    });
+
+    test('should leave the prompt unchanged without edits', () => {
+      const build = recent => new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(21)
+        .withEditableRegion(0, sampleCode.length - 1)
+        .withFormat(FIMFormat.ZED)
+        .withRecentEdits(recent)
+        .build();
+
+      equal(build([]).prompt, build(null).prompt);
+      ok(build([]).prompt.startsWith('<|editable_region_start|>'));
+    });
+
+    test('should not render recent edits in PSM', () => {
+      const example = new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(21)
+        .withEditableRegion(0, sampleCode.length - 1)
+        .withFormat(FIMFormat.PSM)
+        .withRecentEdits(edits)
+        .build();
+
+      ok(!example.prompt.includes('User Edits'));
+    });
+
+    describe('under a context budget', () => {
+      const older = { filepath: 'test.js', diff: `@@ -1,40 +1,40 @@\n${'-old line\n+new line\n'.repeat(20)}` };
+      const newer = edits[0];
+      // Room for the section headers and the newer edit only
+      const room = '### User Edits:\n\n\n\n### User Excerpt:\n\n'.length +
+        `User edited "test.js":\n\`\`\`diff\n${newer.diff}\n\`\`\`\n\n`.length;
+
+      const buildWithin = maxContext => new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(21)
+        .withEditableRegion(0, sampleCode.length - 1)
+        .withFormat(FIMFormat.ZED)
+        .withContextBudget({ maxContext })
+        .withRecentEdits([older, newer])
+        .build();
+
+      test('should drop the oldest edits first', () => {
+        const example = buildWithin(room);
+        ok(example.prompt.includes('+function greet(name) {'));
+        ok(!example.prompt.includes('old line'));
+        equal(example.metadata.droppedRecentEdits, 1);
+      });
+
+      test('should leave out the events section when no edit fits', () => {
+        const example = buildWithin(room - 1);
+        ok(example.prompt.startsWith('<|editable_region_start|>'));
+        equal(example.metadata.droppedRecentEdits, 2);
+      });
+    });
+  });
+
+  describe('Edit Prediction Format', () => {
+    const before = `function greet(name) {
+    console.log('Hi ' + name);
+}`;
+    const regionStart = sampleCode.indexOf('    console');
+    const regionEnd = sampleCode.indexOf('\n}');
+    const beforeStart = before.indexOf('    console');
+    const beforeEnd = before.indexOf('\n}');
+
+    const buildExample = (cursor = regionStart + 4) => new FIMExampleBuilder()
+      .withCode(sampleCode)
+      .withCursor(cursor)
+      .withBefore(before, beforeStart, beforeEnd)
+      .withEditableRegion(regionStart, regionEnd)
+      .withFormat(FIMFormat.EDIT_PREDICTION)
+      .build();
+
+    test('should show the old region in the prompt', () => {
+      const example = buildExample();
+
+      ok(example.prompt.startsWith('function greet(name) {\n<|editable_region_start|>'));
+      ok(example.prompt.includes("console.log('Hi ' + name);\n<|editable_region_end|>}"));
+      ok(!example.prompt.includes('Hello'), 'Prompt should not leak the new version');
+      equal(example.format, FIMFormat.EDIT_PREDICTION);
+    });
+
+    test('should use the new region as the completion', () => {
+      const example = buildExample();
+      equal(example.completion, "    console.log('Hello, ' + name);\n");
+    });
+
+    test('should keep the cursor within text shared by both versions', () => {
+      const example = buildExample(regionStart + 25);
+      const sharedLength = "    console.log('H".length;
+
+      equal(example.metadata.beforeCursorPosition, beforeStart + sharedLength);
+      ok(example.prompt.includes("console.log('H<|user_cursor_is_here|>i "));
+    });
+
+    test('should support regions that replaced nothing', () => {
+      const example = new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(regionStart)
+        .withBefore('function greet(name) {\n}', 23, 22)
+        .withEditableRegion(regionStart, regionEnd)
+        .withFormat(FIMFormat.EDIT_PREDICTION)
+        .build();
+
+      ok(example.prompt.includes('<|editable_region_start|><|user_cursor_is_here|><|editable_region_end|>'));
+      equal(example.completion, "    console.log('Hello, ' + name);\n");
+    });
+
+    test('should skip regions the edit left unchanged', () => {
+      const example = new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(0)
+        .withBefore(sampleCode, 0, regionStart - 1)
+        .withEditableRegion(0, regionStart - 1)
+        .withFormat(FIMFormat.EDIT_PREDICTION)
+        .build();
+
+      equal(example, null);
+    });
+
+    test('should require before code', () => {
+      throws(
+        () => new FIMExampleBuilder()
+          .withCode(sampleCode)
+          .withCursor(10)
+          .withEditableRegion(0, 20)
+          .withFormat(FIMFormat.EDIT_PREDICTION)
+          .build(),
+        /Before code is required/
+      );
+    });
+
+    test('should carry before state through clone', () => {
+      const builder = new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(regionStart)
+        .withBefore(before, beforeStart, beforeEnd)
+        .withEditableRegion(regionStart, regionEnd)
+        .withFormat(FIMFormat.EDIT_PREDICTION);
+
+      deepEqual(builder.clone().build().metadata.beforeRegion, [beforeStart, beforeEnd]);
+    });
+  });
+
+  describe('MIXED split', () => {
+    const buildFormats = (spmRate, seed = 1) => {
+      const rng = new SeededRandom(seed);
+      return Array.from({ length: 20 }, () => new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(21)
+        .withEditableRegion(0, sampleCode.length - 1)
+        .withFormat(FIMFormat.MIXED)
+        .withRandom(rng)
+        .withSpmRate(spmRate)
+        .build().format);
+    };
+
+    test('should honor the SPM rate', () => {
+      ok(buildFormats(0).every(format => format === FIMFormat.PSM));
+      ok(buildFormats(1).every(format => format === FIMFormat.SPM));
+    });
+
+    test('should be reproducible with a seeded random source', () => {
+      deepEqual(buildFormats(0.5, 11), buildFormats(0.5, 11));
+    });
+
+    test('should reject invalid SPM rates', () => {
+      throws(() => new FIMExampleBuilder().withSpmRate(1.5), /SPM rate/);
+      throws(() => new FIMExampleBuilder().withSpmRate('half'), /SPM rate/);
+    });
+  });
+
+  describe('Span Strategies', () => {
+    const code = `function greet(name) {
+    if (name) {
+        console.log('Hello, ' + name);
+    }
+    return name;
+}`;
+    const cursor = code.indexOf('console');
+
+    const build = (strategy, configure = b => b) => configure(new FIMExampleBuilder()
+      .withCode(code)
+      .withCursor(cursor)
+      .withEditableRegion(0, code.length - 1)
+      .withFormat(FIMFormat.PSM)
+      .withSpanStrategy(strategy))
+      .build();
+
+    test('should default to a fixed 50 character middle', () => {
+      const example = new FIMExampleBuilder()
+        .withCode(code)
+        .withCursor(cursor)
+        .withEditableRegion(0, code.length - 1)
+        .withFormat(FIMFormat.PSM)
+        .build();
+
+      equal(example.completion, code.substring(cursor, cursor + 50));
+      equal(example.metadata.spanStrategy, SpanStrategy.FIXED);
+    });
+
+    test('should take the rest of the line for line spans', () => {
+      const example = build(SpanStrategy.LINE);
+      equal(example.completion, "console.log('Hello, ' + name);");
+      equal(example.metadata.middleLength, example.completion.length);
+    });
+
+    test('should use the next line when the cursor is on a newline', () => {
+      const atNewline = code.indexOf('\n');
+      const example = build(SpanStrategy.LINE, b => b.withCursor(atNewline));
+      equal(example.completion, '\n    if (name) {');
+    });
+
+    test('should take the rest of the block for block spans', () => {
+      const example = build(SpanStrategy.BLOCK);
+      ok(example.completion.startsWith("console.log('Hello, ' + name);"));
+      ok(example.completion.endsWith('    }'));
+    });
+
+    test('should use the node end for AST spans', () => {
+      const nodeEnd = code.indexOf(';', cursor);
+      const example = build(SpanStrategy.AST, b => b.withNodeSpanEnd(nodeEnd));
+      equal(example.completion, "console.log('Hello, ' + name)");
+    });
+
+    test('should fall back to line spans without a node end', () => {
+      equal(build(SpanStrategy.AST).completion, build(SpanStrategy.LINE).completion);
+    });
+
+    test('should draw random spans within the editable region', () => {
+      const regionEnd = code.indexOf('\n    return');
+      const lengths = new Set();
+      const rng = new SeededRandom(3);
+
+      for (let i = 0; i < 20; i++) {
+        const example = new FIMExampleBuilder()
+          .withCode(code)
+          .withCursor(cursor)
+          .withEditableRegion(0, regionEnd)
+          .withFormat(FIMFormat.SPM)
+          .withRandom(rng)
+          .withSpanStrategy(SpanStrategy.RANDOM)
+          .build();
+
+        ok(example.completion.length >= 1);
+        ok(cursor + example.completion.length <= regionEnd + 1);
+        lengths.add(example.completion.length);
+      }
+
+      ok(lengths.size > 1, 'Random spans should vary in length');
+    });
+
+    test('should reject unknown span strategies', () => {
+      throws(() => new FIMExampleBuilder().withSpanStrategy('word'), /Invalid span strategy/);
+    });
+  });
+
+  describe('Context Budget', () => {
+    const lines = Array.from({ length: 40 }, (_, i) => `const value${i} = ${i};\n`);
+    const code = lines.join('');
+    const cursor = code.indexOf('value20');
+
+    const build = (format, budget) => new FIMExampleBuilder()
+      .withCode(code)
+      .withCursor(cursor)
+      .withEditableRegion(code.indexOf('const value20'), code.indexOf('const value21') - 1)
+      .withFormat(format)
+      .withSpanStrategy(SpanStrategy.LINE)
+      .withContextBudget(budget)
+      .build();
+
+    test('should keep the whole file without a budget', () => {
+      const example = build(FIMFormat.PSM, null);
+      ok(example.prompt.includes(lines[0]));
+      ok(example.prompt.includes(lines[39]));
+      equal(example.metadata.contextWindow, undefined);
+    });
+
+    test('should trim PSM context to whole lines around the middle', () => {
+      const example = build(FIMFormat.PSM, { maxContext: 100 });
+      const [start, end] = example.metadata.contextWindow;
+
+      ok(start > 0 && end < code.length);
+      ok(start === 0 || code[start - 1] === '\n');
+      ok(code[end - 1] === '\n');
+      ok(example.prompt.includes(code.substring(start, cursor)));
+      ok(!example.prompt.includes(lines[0]));
+      equal(example.completion, 'value20 = 20;');
+    });
+
+    test('should favor the prefix with a high bias', () => {
+      const [start, end] = build(FIMFormat.SPM, { maxContext: 100, prefixBias: 0.9 }).metadata.contextWindow;
+      ok(cursor - start > end - cursor);
+    });
+
+    test('should keep the whole editable region in ZED prompts', () => {
+      const example = build(FIMFormat.ZED, { maxContext: 60 });
+      ok(example.prompt.includes(lines[19]));
+      ok(example.context.includes('<|user_cursor_is_here|>value20 = 20;\n<|editable_region_end|>'));
+      ok(!example.context.includes(lines[5]));
+      ok(!example.context.includes(lines[35]));
+    });
+
+    test('should reject non-positive budgets', () => {
+      throws(() => new FIMExampleBuilder().withContextBudget({ maxContext: 0 }), /positive/);
+      throws(() => new FIMExampleBuilder().withContextBudget({ maxContext: 10, prefixBias: 2 }), /between 0 and 1/);
+    });
+  });
+
   describe('Metadata', () => {
     test('should include metadata in built example', () => {
       const builder = new FIMExampleBuilder()
@@ -324,6 +774,21 @@ describe('FIMExampleBuilder', () => {
       equal(example.metadata.commit, 'abc123', 'Should include commit hash');
       equal(example.metadata.language, 'javascript', 'Should include language');
       equal(example.metadata.commitMessage, 'Add greeting function', 'Should include commit message');
+      equal(example.metadata.author, 'Ada Lovelace', 'Should include author');
+      equal(example.metadata.authorEmail, 'ada@example.com', 'Should include author email');
+    });
+
+    test('should record the old path of renamed files', () => {
+      const build = editPair => new FIMExampleBuilder()
+        .withCode(sampleCode)
+        .withCursor(21)
+        .withEditableRegion(0, sampleCode.length - 1)
+        .withFormat(FIMFormat.ZED)
+        .withMetadata(editPair)
+        .build();
+
+      equal(build({ ...sampleEditPair, oldPath: 'old.js' }).metadata.oldPath, 'old.js');
+      ok(!('oldPath' in build(sampleEditPair).metadata), 'Should omit oldPath for in-place edits');
     });
 
     test('should work without metadata', () => {
@@ -1,7 +1,7 @@
 import { test, describe, beforeEach } from 'node:test';
 import { assert, createMockEditPair, sampleCode } from './test-helper.js';
 import { FIMTransformer } from '../src/fim-transformer.js';
-import { FIMFormat } from '../src/types.js';
+import { FIMFormat, CursorStrategy, SpanStrategy } from '../src/types.js';
 
 describe('FIMTransformer', () => {
   let transformer;
@@ -143,6 +143,208 @@ describe('FIMTransformer', () => {
     });
   });
 
+  describe('span strategies', () => {
+    test('should end AST spans at the syntax node under the cursor', async () => {
+      await transformer.init();
+      const editPair = createMockEditPair({ after: sampleCode.javascript });
+      const examples = transformer.createFIMExamples(editPair, FIMFormat.PSM, 3, {
+        spanStrategy: SpanStrategy.AST
+      });
+
+      assert.equal(examples.length, 3);
+      examples.forEach(ex => {
+        assert.equal(ex.metadata.spanStrategy, SpanStrategy.AST);
+        assert.equal(ex.metadata.middleLength, ex.completion.length);
+        assert(ex.completion.length > 0);
+      });
+    });
+  });
+
+  describe('diff cursor strategy', () => {
+    const after = `function calculateSum(numbers) {
+    return numbers.reduce((sum, num) => sum + num, 0);
+}
+
+function calculateAverage(numbers) {
+    const sum = calculateSum(numbers);
+    return sum / numbers.length;
+}
+`;
+    const diff = `diff --git a/math.js b/math.js
+--- a/math.js
++++ b/math.js
+@@ -1,3 +1,8 @@
+ function calculateSum(numbers) {
+     return numbers.reduce((sum, num) => sum + num, 0);
+ }
++
++function calculateAverage(numbers) {
++    const sum = calculateSum(numbers);
++    return sum / numbers.length;
++}`;
+    const changedStart = after.indexOf('\nfunction calculateAverage') + 1;
+
+    test('should only place cursors inside added lines', () => {
+      const editPair = createMockEditPair({ after, diff });
+      const examples = transformer.createFIMExamples(editPair, FIMFormat.ZED, 3, {
+        cursorStrategy: CursorStrategy.DIFF
+      });
+
+      assert.equal(examples.length, 3);
+      examples.forEach(ex => {
+        assert(ex.cursorPosition >= changedStart);
+        assert.equal(ex.metadata.cursorStrategy, CursorStrategy.DIFF);
+      });
+    });
+
+    test('should use the added lines as the editable region', () => {
+      const editPair = createMockEditPair({ after, diff });
+      const [example] = transformer.createFIMExamples(editPair, FIMFormat.ZED, 1, {
+        cursorStrategy: CursorStrategy.DIFF
+      });
+
+      assert.deepEqual(example.editableRegion, [after.indexOf('\n}\n') + 3, after.length - 1]);
+      assert(after.endsWith(example.completion));
+    });
+
+    test('should align edit prediction regions with the old version', () => {
+      const before = `function calculateSum(numbers) {
+    let total = 0;
+    for (const num of numbers) total += num;
+    return total;
+}
+`;
+      const editDiff = `@@ -1,5 +1,3 @@
+ function calculateSum(numbers) {
+-    let total = 0;
+-    for (const num of numbers) total += num;
+-    return total;
++    return numbers.reduce((sum, num) => sum + num, 0);
+ }`;
+      const editAfter = `function calculateSum(numbers) {
+    return numbers.reduce((sum, num) => sum + num, 0);
+}
+`;
+      const editPair = createMockEditPair({ before, after: editAfter, diff: editDiff });
+      const [example] = transformer.createFIMExamples(editPair, FIMFormat.EDIT_PREDICTION, 1, {
+        cursorStrategy: CursorStrategy.DIFF
+      });
+
+      assert.equal(example.format, FIMFormat.EDIT_PREDICTION);
+      assert.equal(example.completion, '    return numbers.reduce((sum, num) => sum + num, 0);\n');
+      assert(example.prompt.includes('<|editable_region_start|>'));
+      assert(example.prompt.includes('let total = 0;\n'));
+      assert(example.prompt.includes('    return total;\n<|editable_region_end|>}'));
+    });
+
+    test('should end PSM middles at the added lines for every span strategy', () => {
+      const lines = Array.from({ length: 20 }, (_, i) => `function f${i}(x) {\n  return x + ${i};\n}\n`);
+      lines[10] = 'function f10(x) {\n  return x * 10;\n}\n';
+      const after = lines.join('');
+      const editPair = createMockEditPair({
+        after,
+        diff: '@@ -31,3 +31,3 @@\n function f10(x) {\n-  return x + 10;\n+  return x * 10;\n }'
+      });
+
+      for (const spanStrategy of [SpanStrategy.FIXED, SpanStrategy.BLOCK, SpanStrategy.RANDOM]) {
+        const examples = transformer.createFIMExamples(editPair, FIMFormat.PSM, 2, {
+          cursorStrategy: CursorStrategy.DIFF,
+          spanStrategy
+        });
+
+        assert(examples.length > 0);
+        for (const example of examples) {
+          assert(example.completion.length > 0);
+          assert('  return x * 10;\n'.includes(example.completion), `${spanStrategy}: ${example.completion}`);
+        }
+      }
+    });
+
+    test('should place edit prediction regions on changed lines by default', () => {
+      const lines = Array.from({ length: 90 }, (_, i) => `function f${i}(x) {\n  return x + ${i};\n}\n`);
+      const before = lines.join('');
+      const changed = [...lines];
+      changed[45] = 'function f45(x) {\n  return x * 45;\n}\n';
+      const editPair = createMockEditPair({
+        before,
+        after: changed.join(''),
+        diff: '@@ -136,3 +136,3 @@\n function f45(x) {\n-  return x + 45;\n+  return x * 45;\n }'
+      });
+
+      const examples = transformer.createFIMExamples(editPair, FIMFormat.EDIT_PREDICTION, 3);
+
+      assert(examples.length > 0);
+      for (const example of examples) {
+        const [beforeStart, beforeEnd] = example.metadata.beforeRegion;
+        assert.notEqual(example.completion, before.substring(beforeStart, beforeEnd + 1));
+        assert(example.completion.includes('x * 45'));
+        assert.equal(example.metadata.cursorStrategy, CursorStrategy.DIFF);
+      }
+    });
+
+    test('should show earlier edits and hunks above the region in ZED prompts', () => {
+      const editPair = createMockEditPair({
+        after,
+        recentEdits: [{ filepath: 'math.js', commitHash: 'old', diff: '@@ -1 +1 @@\n-a\n+b' }]
+      });
+      editPair.diff = `@@ -1,2 +1,2 @@
+-function calculateTotal(numbers) {
++function calculateSum(numbers) {
+     return numbers.reduce((sum, num) => sum + num, 0);
+@@ -3,0 +4,5 @@
++
++function calculateAverage(numbers) {
++    const sum = calculateSum(numbers);
++    return sum / numbers.length;
++}`;
+
+      const examples = transformer.createFIMExamples(editPair, FIMFormat.ZED, 10, {
+        cursorStrategy: CursorStrategy.DIFF,
+        recentEdits: 5
+      });
+      const example = examples.find(ex => ex.cursorPosition >= changedStart);
+
+      assert.equal(example.metadata.recentEdits, 2);
+      assert(example.prompt.indexOf('-a\n+b') < example.prompt.indexOf('+function calculateSum'));
+      assert(!example.prompt.includes('+function calculateAverage'));
+    });
+
+    test('should find syntax nodes inside a small change to a large file', async () => {
+      await transformer.init();
+      const lines = Array.from({ length: 200 }, (_, i) => `function f${i}(x) {\n  return helper(x, ${i});\n}\n`);
+      lines[150] = 'function f150(x) {\n  return helper(x * 2, 150);\n}\n';
+      const code = lines.join('');
+      const editPair = createMockEditPair({
+        after: code,
+        language: 'javascript',
+        diff: '@@ -451,3 +451,3 @@\n function f150(x) {\n-  return helper(x, 150);\n+  return helper(x * 2, 150);\n }'
+      });
+
+      const [example] = transformer.createFIMExamples(editPair, FIMFormat.ZED, 1, {
+        cursorStrategy: CursorStrategy.DIFF
+      });
+      assert.equal(example.cursorPosition, code.indexOf('helper(x * 2'));
+    });
+
+    test('should produce no examples when nothing was added', () => {
+      const editPair = createMockEditPair({
+        after,
+        diff: '@@ -1,4 +1,3 @@\n a\n-b\n c\n d'
+      });
+      const examples = transformer.createFIMExamples(editPair, FIMFormat.ZED, 3, {
+        cursorStrategy: CursorStrategy.DIFF
+      });
+
+      assert.equal(examples.length, 0);
+    });
+
+    test('should default to AST placement', () => {
+      const editPair = createMockEditPair({ after: sampleCode.javascript });
+      const [example] = transformer.createFIMExamples(editPair, FIMFormat.ZED, 1);
+      assert.equal(example.metadata.cursorStrategy, CursorStrategy.AST);
+    });
+  });
+
   describe('_determineEditableRegion', () => {
     test('should return valid region for code', () => {
       const code = 'function test() {\n    return 1;\n}';
@@ -1,7 +1,8 @@
 import { test, describe, beforeEach, afterEach } from 'node:test';
 import { assert, assertThrows } from './test-helper.js';
 import { GitHistoryMiner } from '../src/git-history-miner.js';
-import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { CommitCache } from '../src/commit-cache.js';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 import { execSync } from 'node:child_process';
@@ -71,6 +72,42 @@ describe('GitHistoryMiner', () => {
       }
     });
 
+    test('should throw for a subdirectory of a repository', () => {
+      mkdirSync(join(tempDir, 'src'));
+      assertThrows(() => {
+        new GitHistoryMiner(join(tempDir, 'src'));
+      }, 'Invalid git repository');
+    });
+
+    test('should accept worktrees, where .git is a file', async () => {
+      const worktree = join(mkdtempSync(join(tmpdir(), 'fim-worktree-')), 'tree');
+      try {
+        execSync(`git worktree add -q "${worktree}"`, { cwd: tempDir });
+        const m = new GitHistoryMiner(worktree);
+
+        assert.equal(m.bare, false);
+        assert.equal((await m.extractEditPairs(['.js'], 1)).length, 1);
+      } finally {
+        rmSync(join(worktree, '..'), { recursive: true });
+      }
+    });
+
+    test('should mine bare repositories directly', async () => {
+      const mirror = join(mkdtempSync(join(tmpdir(), 'fim-bare-')), 'mirror.git');
+      try {
+        execSync(`git clone -q --bare "${tempDir}" "${mirror}"`);
+        const m = new GitHistoryMiner(mirror);
+        const pairs = await m.extractEditPairs(['.js'], 1, null, null, { contextFiles: 1 });
+
+        assert.equal(m.bare, true);
+        assert.equal(pairs.length, 1);
+        assert.equal(pairs[0].after, 'function new() { return 2; }');
+        await assert.rejects(m.extractEditPairs(['.js'], 1, null, null, { staged: true }), /bare repository/);
+      } finally {
+        rmSync(join(mirror, '..'), { recursive: true });
+      }
+    });
+
     test('should initialize quality filter', () => {
       const m = new GitHistoryMiner(tempDir);
       assert(m.qualityFilter);
@@ -196,6 +233,507 @@ describe('GitHistoryMiner', () => {
     });
   });
 
+  describe('revisions', () => {
+    let mainline;
+
+    const messages = async options => {
+      const pairs = await miner.extractEditPairs(['.js'], 10, null, null, options);
+      return pairs.map(pair => pair.commitMessage.trim());
+    };
+
+    beforeEach(() => {
+      mainline = execSync('git rev-parse --abbrev-ref HEAD', { cwd: tempDir }).toString().trim();
+      execSync('git tag v1', { cwd: tempDir });
+
+      execSync('git checkout -q -b feature', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'test.js'), 'function feature() { return 3; }');
+      execSync('git commit -qam "Feature work"', { cwd: tempDir });
+      execSync(`git checkout -q ${mainline}`, { cwd: tempDir });
+      execSync('git merge -q --no-ff -m "Merge feature" feature', { cwd: tempDir });
+
+      execSync('git checkout -q -b unmerged v1', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'test.js'), 'function unmerged() { return 4; }');
+      execSync('git commit -qam "Unmerged work"', { cwd: tempDir });
+      execSync(`git checkout -q ${mainline}`, { cwd: tempDir });
+    });
+
+    test('should skip merge commits by default', async () => {
+      assert.deepEqual((await messages({})).sort(), ['Feature work', 'Update function']);
+    });
+
+    test('should mine a revision range', async () => {
+      assert.deepEqual(await messages({ revRange: 'v1..HEAD' }), ['Feature work']);
+    });
+
+    test('should diff merges against their first parent', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 10, null, null, { includeMerges: true, firstParent: true });
+
+      assert.deepEqual(pairs.map(pair => pair.commitMessage.trim()), ['Merge feature', 'Update function']);
+      assert(pairs[0].before.includes('function new()'));
+      assert(pairs[0].after.includes('function feature()'));
+    });
+
+    test('should mine every ref with all', async () => {
+      assert((await messages({ all: true })).includes('Unmerged work'));
+      assert(!(await messages({})).includes('Unmerged work'));
+    });
+  });
+
+  describe('uncommitted changes and reflog', () => {
+    test('should mine amended commits from the reflog', async () => {
+      writeFileSync(join(tempDir, 'test.js'), 'function amended() { return 3; }');
+      execSync('git commit -q --amend -am "Amended function"', { cwd: tempDir });
+
+      const messages = async options => (await miner.extractEditPairs(['.js'], 10, null, null, options))
+        .map(pair => pair.commitMessage.trim());
+
+      assert.deepEqual(await messages({}), ['Amended function']);
+      assert.deepEqual((await messages({ reflog: true })).sort(), ['Amended function', 'Update function']);
+    });
+
+    test('should reject a revision range with the reflog', async () => {
+      await assert.rejects(
+        miner.extractEditPairs(['.js'], 10, null, null, { reflog: true, revRange: 'HEAD~1..HEAD' }),
+        /cannot be combined with a revision range/
+      );
+    });
+
+    test('should mine staged and unstaged changes as pseudo-commits', async () => {
+      writeFileSync(join(tempDir, 'test.js'), 'function staged() { return 3; }');
+      execSync('git add test.js', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'test.js'), 'function unstaged() { return 4; }');
+
+      const pairs = await miner.extractEditPairs(['.js'], 1, null, null, { staged: true, workingTree: true });
+
+      assert.deepEqual(pairs.map(pair => pair.commitHash), ['working-tree', 'staged', pairs[2].commitHash]);
+      assert.equal(pairs[0].before, 'function staged() { return 3; }');
+      assert.equal(pairs[0].after, 'function unstaged() { return 4; }');
+      assert.equal(pairs[1].before, 'function new() { return 2; }');
+      assert.equal(pairs[1].after, 'function staged() { return 3; }');
+      assert.equal(pairs[1].author, 'Test User');
+    });
+
+    test('should not cache uncommitted changes', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'miner-cache-'));
+      try {
+        writeFileSync(join(tempDir, 'test.js'), 'function unstaged() { return 4; }');
+        const cache = new CommitCache(join(dir, 'commit_cache.jsonl'));
+        await miner.extractEditPairs(['.js'], 1, null, null, { workingTree: true, cache });
+
+        writeFileSync(join(tempDir, 'test.js'), 'function changed() { return 5; }');
+        const pairs = await miner.extractEditPairs(['.js'], 1, null, null, { workingTree: true, cache });
+
+        assert.equal(pairs[0].after, 'function changed() { return 5; }');
+        assert.equal(cache.hits, 1);
+      } finally {
+        rmSync(dir, { recursive: true });
+      }
+    });
+  });
+
+  describe('author and committer filters', () => {
+    const commitAs = (message, author, committer = author) => {
+      writeFileSync(join(tempDir, 'test.js'), `function ${message.replace(/\W/g, '')}() { return 1; }`);
+      execSync(`git commit -qam "${message}" --author "${author}"`, {
+        cwd: tempDir,
+        env: {
+          ...process.env,
+          GIT_COMMITTER_NAME: committer.split(' <')[0],
+          GIT_COMMITTER_EMAIL: committer.split(' <')[1].slice(0, -1)
+        }
+      });
+    };
+
+    const messages = async options => {
+      const pairs = await miner.extractEditPairs(['.js'], 10, null, null, options);
+      return pairs.map(pair => pair.commitMessage.trim()).sort();
+    };
+
+    beforeEach(() => {
+      commitAs('Ada change', 'Ada Lovelace <ada@example.com>');
+      commitAs('Bump lodash', 'dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>');
+      commitAs('Grace change', 'Grace Hopper <grace@navy.mil>', 'Release Bot <ci@example.com>');
+    });
+
+    test('should skip bot commits unless asked to keep them', async () => {
+      assert(!(await messages({})).includes('Bump lodash'));
+      assert((await messages({ includeBots: true })).includes('Bump lodash'));
+    });
+
+    test('should keep only matching authors', async () => {
+      assert.deepEqual(await messages({ authors: ['lovelace', '@navy\\.mil'] }), ['Ada change', 'Grace change']);
+    });
+
+    test('should drop excluded authors and committers', async () => {
+      assert(!(await messages({ excludeAuthors: ['ada@'] })).includes('Ada change'));
+      assert.deepEqual(await messages({ committers: ['ci@example'] }), ['Grace change']);
+      assert(!(await messages({ excludeCommitters: ['Release Bot'] })).includes('Grace change'));
+    });
+
+    test('should fill the commit budget with commits that pass the filters', async () => {
+      const mined = async (maxCommits, options) => (await miner.extractEditPairs(['.js'], maxCommits, null, null, options))
+        .map(pair => pair.commitMessage.trim());
+
+      assert.deepEqual(await mined(2, {}), ['Grace change', 'Ada change']);
+      assert.deepEqual(await mined(1, { authors: ['ADA'] }), ['Ada change']);
+      assert.deepEqual(await mined(1, { excludeAuthors: ['grace'] }), ['Ada change']);
+    });
+
+    test('should accept patterns git could not parse', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 10, null, null, { authors: ['Ad(?=a)', '\\d{5}'] });
+      assert.deepEqual(pairs.map(pair => pair.commitMessage.trim()), ['Ada change']);
+    });
+
+    test('should record the author on edit pairs', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 10, null, null, { authors: ['Ada'] });
+      assert.equal(pairs[0].author, 'Ada Lovelace');
+      assert.equal(pairs[0].authorEmail, 'ada@example.com');
+    });
+
+    test('should reject invalid patterns', async () => {
+      await assert.rejects(miner.extractEditPairs(['.js'], 10, null, null, { authors: ['('] }), /Invalid author pattern/);
+    });
+  });
+
+  describe('renames', () => {
+    test('should read the before version from the old path', async () => {
+      // Enough shared lines for git to see a rename rather than a delete and an add
+      const body = Array.from({ length: 8 }, (_, i) => `function step${i}(value) {\n  return value + ${i};\n}\n`).join('\n');
+      writeFileSync(join(tempDir, 'test.js'), body);
+      execSync('git commit -qam "Add steps"', { cwd: tempDir });
+      execSync('git mv test.js renamed.js', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'renamed.js'), body + '\nfunction extra() {\n  return 3;\n}\n');
+      execSync('git commit -qam "Rename and extend"', { cwd: tempDir });
+
+      const [pair] = await miner.extractEditPairs(['.js'], 1);
+      assert.equal(pair.filepath, 'renamed.js');
+      assert.equal(pair.oldPath, 'test.js');
+      assert.equal(pair.before, body);
+      assert(pair.after.includes('function extra()'));
+    });
+
+    test('should leave oldPath empty for in-place edits', async () => {
+      const [pair] = await miner.extractEditPairs(['.js'], 1);
+      assert.equal(pair.oldPath, null);
+    });
+  });
+
+  describe('added and deleted files', () => {
+    const added = 'function created(value) {\n  return value * 2;\n}\n';
+
+    beforeEach(() => {
+      writeFileSync(join(tempDir, 'created.js'), added);
+      execSync('git rm -q test.js', { cwd: tempDir });
+      execSync('git add . && git commit -qm "Create and delete"', { cwd: tempDir });
+    });
+
+    test('should skip added files and count them with deletions', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 1);
+
+      assert.equal(pairs.length, 0);
+      assert.deepEqual(miner.rejections, { added: 1, deleted: 1 });
+    });
+
+    test('should turn added files into pairs with an empty before', async () => {
+      const [pair] = await miner.extractEditPairs(['.js'], 1, null, null, { includeAdded: true });
+
+      assert.equal(pair.filepath, 'created.js');
+      assert.equal(pair.changeType, 'added');
+      assert.equal(pair.before, '');
+      assert.equal(pair.after, added);
+      assert.deepEqual(miner.rejections, { deleted: 1 });
+    });
+
+    test('should diff the root commit against the empty tree', async () => {
+      const root = mkdtempSync(join(tmpdir(), 'fim-root-'));
+      try {
+        execSync('git init -q && git config user.email "test@example.com" && git config user.name "Test User"', { cwd: root });
+        writeFileSync(join(root, 'created.js'), added);
+        execSync('git add . && git commit -qm "Initial commit"', { cwd: root });
+        const rootMiner = new GitHistoryMiner(root);
+
+        assert.equal((await rootMiner.extractEditPairs(['.js'], 1)).length, 0);
+        assert.deepEqual(rootMiner.rejections, { added: 1 });
+
+        const [pair] = await rootMiner.extractEditPairs(['.js'], 1, null, null, { includeAdded: true });
+        assert.equal(pair.before, '');
+        assert.equal(pair.after, added);
+      } finally {
+        rmSync(root, { recursive: true });
+      }
+    });
+
+    test('should restore rejection counts from the cache', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'miner-cache-'));
+      try {
+        const cache = new CommitCache(join(dir, 'commit_cache.jsonl'));
+        await miner.extractEditPairs(['.js'], 1, null, null, { cache });
+        await miner.extractEditPairs(['.js'], 1, null, null, { cache });
+
+        assert.equal(cache.hits, 1);
+        assert.deepEqual(miner.rejections, { added: 1, deleted: 1 });
+      } finally {
+        rmSync(dir, { recursive: true });
+      }
+    });
+  });
+
+  describe('hunk granularity', () => {
+    const body = Array.from({ length: 60 }, (_, i) => `const value${i} = compute(${i});\n`);
+
+    beforeEach(() => {
+      writeFileSync(join(tempDir, 'long.js'), body.join(''));
+      execSync('git add . && git commit -qm "Add long file"', { cwd: tempDir });
+      const edited = [...body];
+      edited[5] = 'const value5 = compute(5) * 2;\n';
+      edited[50] = 'const value50 = compute(50) + 1;\n';
+      writeFileSync(join(tempDir, 'long.js'), edited.join(''));
+      execSync('git add . && git commit -qm "Edit long file"', { cwd: tempDir });
+    });
+
+    test('should yield one pair per hunk window', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 1, null, null, { granularity: 'hunk', hunkContext: 5 });
+
+      assert.equal(pairs.length, 2);
+      assert(pairs[0].after.includes('compute(5) * 2'));
+      assert(!pairs[0].after.includes('compute(50)'));
+      assert.equal(pairs[0].hunk.afterStart, 1);
+      assert.equal(pairs[1].hunk.hunks[0].newStart, 48);
+      assert(pairs[1].diff.startsWith('@@ -'));
+      assert.equal(pairs[1].filepath, 'long.js');
+    });
+
+    test('should record file line numbers in recent edit history', async () => {
+      const edited = [...body];
+      edited[5] = 'const value5 = compute(5) * 2;\n';
+      edited[50] = 'const value50 = compute(50) + 1;\n';
+      edited[30] = 'const value30 = compute(30) - 1;\n';
+      writeFileSync(join(tempDir, 'long.js'), edited.join(''));
+      execSync('git commit -qam "Edit the middle"', { cwd: tempDir });
+
+      const pairs = await miner.extractEditPairs(['.js'], 2, null, null, { granularity: 'hunk', hunkContext: 2, recentEdits: 5 });
+      const latest = pairs.find(pair => pair.commitMessage.includes('Edit the middle'));
+
+      assert(latest.diff.startsWith('@@ -1,5 +1,5 @@'));
+      const headers = latest.recentEdits.map(edit => edit.diff.split('\n')[0]).sort();
+      assert.deepEqual(headers, ['@@ -4,5 +4,5 @@', '@@ -49,5 +49,5 @@']);
+    });
+
+    test('should keep whole files by default', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 1);
+
+      assert.equal(pairs.length, 1);
+      assert.equal(pairs[0].hunk, null);
+    });
+
+    test('should reject an unknown granularity', async () => {
+      await assert.rejects(
+        miner.extractEditPairs(['.js'], 1, null, null, { granularity: 'line' }),
+        /Invalid granularity: line/
+      );
+    });
+  });
+
+  describe('path filters', () => {
+    const files = ['src/app.js', 'vendor/lib.js', 'api/service.pb.js', 'scripts/tool.js'];
+
+    beforeEach(() => {
+      for (const dir of ['src', 'vendor', 'api', 'scripts']) mkdirSync(join(tempDir, dir));
+      writeFileSync(join(tempDir, '.gitattributes'), '*.pb.js linguist-generated\n');
+      files.forEach((file, i) => writeFileSync(join(tempDir, file), `function f${i}() { return 1; }`));
+      execSync('git add . && git commit -qm "Add files"', { cwd: tempDir });
+      files.forEach((file, i) => writeFileSync(join(tempDir, file), `function f${i}() { return 2; }`));
+      execSync('git commit -qam "Change files"', { cwd: tempDir });
+    });
+
+    const paths = async options => {
+      const pairs = await miner.extractEditPairs(['.js'], 1, null, null, options);
+      return pairs.map(pair => pair.filepath).sort();
+    };
+
+    test('should skip vendored and linguist-generated files by default', async () => {
+      assert.deepEqual(await paths({}), ['scripts/tool.js', 'src/app.js']);
+      assert.deepEqual(await paths({ defaultExcludes: false }), [...files].sort());
+    });
+
+    test('should apply .gitattributes files in parent directories', async () => {
+      writeFileSync(join(tempDir, 'scripts', '.gitattributes'), 'tool.js linguist-generated\n');
+      writeFileSync(join(tempDir, 'vendor', '.gitattributes'), '/lib.js linguist-vendored=false\n');
+      execSync('git add . && git commit -qm "Mark files"', { cwd: tempDir });
+      files.forEach((file, i) => writeFileSync(join(tempDir, file), `function f${i}() { return 3; }`));
+      execSync('git commit -qam "Change files again"', { cwd: tempDir });
+
+      assert.deepEqual(await paths({}), ['src/app.js', 'vendor/lib.js']);
+    });
+
+    test('should apply include and exclude globs', async () => {
+      assert.deepEqual(await paths({ includePaths: ['src/**'] }), ['src/app.js']);
+      assert.deepEqual(await paths({ excludePaths: ['scripts'] }), ['src/app.js']);
+    });
+  });
+
+  describe('recent edits', () => {
+    test('should attach earlier diffs of the same file, oldest first', async () => {
+      for (let i = 3; i <= 4; i++) {
+        writeFileSync(join(tempDir, 'test.js'), `function version${i}() { return ${i}; }`);
+        execSync('git add .', { cwd: tempDir });
+        execSync(`git commit -m "Version ${i}"`, { cwd: tempDir });
+      }
+
+      const pairs = await miner.extractEditPairs(['.js'], 10, null, null, { recentEdits: 5 });
+      assert.equal(pairs.length, 3);
+
+      const [newest, middle, oldest] = pairs;
+      assert.equal(oldest.recentEdits.length, 0);
+      assert.equal(middle.recentEdits.length, 1);
+      assert.deepEqual(newest.recentEdits.map(e => e.commitHash), [oldest.commitHash, middle.commitHash]);
+      assert(newest.recentEdits[1].diff.startsWith('@@'));
+      assert(newest.recentEdits[1].diff.includes('+function version3()'));
+    });
+
+    test('should cap the number of recent edits', () => {
+      const pairs = [3, 2, 1].map(n => ({
+        filepath: 'test.js',
+        commitHash: `c${n}`,
+        diff: `@@ -1 +1 @@\n-v${n - 1}\n+v${n}`
+      }));
+
+      miner._attachRecentEdits(pairs, 1);
+      assert.deepEqual(pairs[0].recentEdits.map(e => e.commitHash), ['c2']);
+    });
+
+    test('should not attach recent edits by default', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 10);
+      pairs.forEach(pair => assert.deepEqual(pair.recentEdits, []));
+    });
+  });
+
+  describe('iterateEditPairs', () => {
+    test('should yield the same pairs as extractEditPairs', async () => {
+      const streamed = [];
+      for await (const pair of miner.iterateEditPairs(['.js'], 10)) {
+        streamed.push(pair.commitHash);
+      }
+
+      const collected = await miner.extractEditPairs(['.js'], 10);
+      assert(streamed.length > 0);
+      assert.deepEqual(streamed, collected.map(pair => pair.commitHash));
+    });
+
+    test('should replay history oldest first when attaching recent edits', async () => {
+      writeFileSync(join(tempDir, 'test.js'), 'function version3() { return 3; }');
+      execSync('git add .', { cwd: tempDir });
+      execSync('git commit -m "Version 3"', { cwd: tempDir });
+
+      const streamed = [];
+      for await (const pair of miner.iterateEditPairs(['.js'], 10, null, null, { recentEdits: 5 })) {
+        streamed.push(pair);
+      }
+
+      const collected = await miner.extractEditPairs(['.js'], 10, null, null, { recentEdits: 5 });
+      assert.deepEqual(streamed.map(pair => pair.commitHash), collected.map(pair => pair.commitHash).reverse());
+      assert.deepEqual(streamed.map(pair => pair.recentEdits.length), [0, 1]);
+    });
+
+    test('should mine another branch without checking it out', async () => {
+      const current = execSync('git rev-parse --abbrev-ref HEAD', { cwd: tempDir }).toString().trim();
+      execSync('git checkout -q -b backport', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'test.js'), 'function backported() { return 3; }');
+      execSync('git commit -qam "Backport fix"', { cwd: tempDir });
+      execSync(`git checkout -q ${current}`, { cwd: tempDir });
+
+      const messages = async options => {
+        const pairs = await miner.extractEditPairs(['.js'], 10, null, null, options);
+        return pairs.map(pair => pair.commitMessage);
+      };
+      assert(!(await messages({})).some(message => message.includes('Backport fix')));
+      assert((await messages({ branch: 'backport' })).some(message => message.includes('Backport fix')));
+    });
+
+    test('should mine a branch named like a tracked directory', async () => {
+      const current = execSync('git rev-parse --abbrev-ref HEAD', { cwd: tempDir }).toString().trim();
+      mkdirSync(join(tempDir, 'docs'));
+      writeFileSync(join(tempDir, 'docs', 'index.js'), 'export const docs = 1;');
+      execSync('git add . && git commit -qm "Add docs"', { cwd: tempDir });
+      execSync('git checkout -q -b docs', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'test.js'), 'function documented() { return 3; }');
+      execSync('git commit -qam "Docs branch fix"', { cwd: tempDir });
+      execSync(`git checkout -q ${current}`, { cwd: tempDir });
+
+      const pairs = await miner.extractEditPairs(['.js'], 10, null, null, { branch: 'docs' });
+      assert(pairs.some(pair => pair.commitMessage.includes('Docs branch fix')));
+    });
+
+    test('should reject revisions that look like options', async () => {
+      await assert.rejects(miner.extractEditPairs(['.js'], 10, null, null, { branch: '--output=x' }), /Invalid revision/);
+    });
+
+    test('should record the commit date', async () => {
+      const [pair] = await miner.extractEditPairs(['.js'], 1);
+      assert(!isNaN(Date.parse(pair.commitDate)));
+    });
+  });
+
+  describe('concurrency', () => {
+    test('should return the same pairs in the same order for any job count', async () => {
+      for (let i = 3; i <= 6; i++) {
+        writeFileSync(join(tempDir, `file${i}.js`), `function f${i}() { return ${i}; }`);
+        writeFileSync(join(tempDir, 'test.js'), `function hello() { return ${i}; }`);
+        execSync('git add .', { cwd: tempDir });
+        execSync(`git commit -m "Commit ${i}"`, { cwd: tempDir });
+      }
+
+      const summarize = pairs => pairs.map(pair => [pair.commitHash, pair.filepath, pair.after]);
+      const sequential = await miner.extractEditPairs(['.js'], 10);
+      const parallel = await miner.extractEditPairs(['.js'], 10, null, null, { jobs: 4 });
+
+      assert(sequential.length >= 5);
+      assert.deepEqual(summarize(parallel), summarize(sequential));
+    });
+  });
+
+  describe('context files', () => {
+    const commitAll = message => {
+      execSync('git add .', { cwd: tempDir });
+      execSync(`git commit -m "${message}"`, { cwd: tempDir });
+    };
+
+    beforeEach(() => {
+      execSync('mkdir -p lib', { cwd: tempDir });
+      writeFileSync(join(tempDir, 'lib', 'util.js'), 'export function add(a, b) { return a + b; }\n');
+      writeFileSync(join(tempDir, 'lib', 'helper.js'), 'export const helper = () => 42;\n');
+      writeFileSync(join(tempDir, 'lib', 'app.js'), "import { add } from './util';\n\nexport function run() { return add(1, 2); }\n");
+      commitAll('Add lib');
+
+      writeFileSync(join(tempDir, 'lib', 'app.js'), "import { add } from './util';\n\nexport function run() { return add(3, 4) + 1; }\n");
+      writeFileSync(join(tempDir, 'test.js'), 'function hello() { return "changed alongside"; }');
+      commitAll('Update app');
+    });
+
+    test('should collect imports, co-changed files and siblings in that order', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 1, null, null, { contextFiles: 3 });
+      const app = pairs.find(pair => pair.filepath === 'lib/app.js');
+
+      assert.deepEqual(app.contextFiles.map(file => [file.filepath, file.reason]), [
+        ['lib/util.js', 'import'],
+        ['test.js', 'co-change'],
+        ['lib/helper.js', 'sibling']
+      ]);
+      assert(app.contextFiles[0].content.includes('function add'));
+    });
+
+    test('should cap the number of context files', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 1, null, null, { contextFiles: 1 });
+      const app = pairs.find(pair => pair.filepath === 'lib/app.js');
+      assert.deepEqual(app.contextFiles.map(file => file.filepath), ['lib/util.js']);
+    });
+
+    test('should not collect context files by default', async () => {
+      const pairs = await miner.extractEditPairs(['.js'], 1);
+      pairs.forEach(pair => assert.deepEqual(pair.contextFiles, []));
+    });
+  });
+
   describe('_detectLanguage', () => {
     test('should detect common languages', () => {
       assert.equal(miner._detectLanguage('test.py'), 'python');
@@ -288,6 +826,37 @@ index 123..456 100644
       assert.equal(files[1].path, 'file2.py');
     });
 
+    test('should parse paths that contain "b/"', () => {
+      const files = miner._parseGitDiff('diff --git a/lib/app.js b/lib/app.js\n@@ -1 +1 @@\n-a\n+b');
+      assert.equal(files[0].path, 'lib/app.js');
+    });
+
+    test('should record the source path of renames and copies', () => {
+      const files = miner._parseGitDiff([
+        'diff --git a/src/old.js b/src/new.js',
+        'similarity index 90%',
+        'rename from src/old.js',
+        'rename to src/new.js',
+        '@@ -1 +1 @@',
+        '-a',
+        '+b',
+        'diff --git a/src/new.js b/src/copy.js',
+        'similarity index 95%',
+        'copy from src/new.js',
+        'copy to src/copy.js',
+        'diff --git a/plain.js b/plain.js',
+        '@@ -1 +1 @@',
+        '-rename from nowhere',
+        '+b'
+      ].join('\n'));
+
+      assert.deepEqual(files.map(file => [file.path, file.oldPath]), [
+        ['src/new.js', 'src/old.js'],
+        ['src/copy.js', 'src/new.js'],
+        ['plain.js', null]
+      ]);
+    });
+
     test('should handle empty diff', () => {
       const files = miner._parseGitDiff('');
       assert(Array.isArray(files));
@@ -1,6 +1,7 @@
 import { test, describe, beforeEach } from 'node:test';
 import { assert, createMockFIMExample } from './test-helper.js';
 import { NegativeExampleGenerator } from '../src/negative-example-generator.js';
+import { SeededRandom } from '../src/utils/random.js';
 
 describe('NegativeExampleGenerator', () => {
   let generator;
@@ -80,6 +81,14 @@ describe('NegativeExampleGenerator', () => {
       // subtle_bugs should be selected more often (weight 0.3)
       assert(methods.subtle_bugs > methods.type_errors);
     });
+
+    test('should be reproducible with a seeded random source', () => {
+      const a = new NegativeExampleGenerator({ rng: new SeededRandom(99) });
+      const b = new NegativeExampleGenerator({ rng: new SeededRandom(99) });
+      const pick = gen => Array.from({ length: 20 }, () => gen._chooseDegradationMethod());
+
+      assert.deepEqual(pick(a), pick(b));
+    });
   });
 
   describe('_applyDegradation', () => {
@@ -0,0 +1,106 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { PathFilter, globToRegExp, parseGitAttributes } from '../src/utils/path-filter.js';
+
+describe('globToRegExp', () => {
+  const matches = (glob, path) => globToRegExp(glob).test(path);
+
+  test('should match names without a slash at any depth', () => {
+    assert(matches('*.min.js', 'jquery.min.js'));
+    assert(matches('*.min.js', 'public/js/jquery.min.js'));
+    assert(!matches('*.min.js', 'src/minify.js'));
+  });
+
+  test('should match everything under a matching directory', () => {
+    assert(matches('vendor', 'vendor/lib.js'));
+    assert(matches('vendor/', 'pkg/vendor/github.com/x/y.go'));
+    assert(!matches('vendor', 'src/vendors.js'));
+  });
+
+  test('should anchor patterns containing a slash', () => {
+    assert(matches('src/*.js', 'src/app.js'));
+    assert(!matches('src/*.js', 'src/lib/app.js'));
+    assert(!matches('src/*.js', 'lib/src/app.js'));
+    assert(matches('/build', 'build/out.js'));
+  });
+
+  test('should let ** span directories', () => {
+    assert(matches('src/**/*.ts', 'src/a.ts'));
+    assert(matches('src/**/*.ts', 'src/a/b/c.ts'));
+    assert(matches('**/generated/*.py', 'x/y/generated/api.py'));
+  });
+
+  test('should support ? and character classes', () => {
+    assert(matches('file?.js', 'file1.js'));
+    assert(matches('[ab].js', 'b.js'));
+    assert(!matches('[!ab].js', 'a.js'));
+  });
+});
+
+describe('parseGitAttributes', () => {
+  test('should keep linguist attributes only', () => {
+    const rules = parseGitAttributes([
+      '# comment',
+      '*.pb.go linguist-generated=true',
+      'lib/vendored/** linguist-vendored',
+      'vendor/ours/** -linguist-vendored',
+      '*.sh text eol=lf'
+    ].join('\n'));
+
+    assert.equal(rules.length, 3);
+    assert.deepEqual(rules.map(rule => rule.attributes), [
+      { 'linguist-generated': true },
+      { 'linguist-vendored': true },
+      { 'linguist-vendored': false }
+    ]);
+  });
+
+  test('should ignore unspecified attributes', () => {
+    assert.deepEqual(parseGitAttributes('*.js !linguist-generated'), []);
+  });
+});
+
+describe('PathFilter', () => {
+  test('should skip vendored and generated paths by default', () => {
+    const filter = new PathFilter();
+    assert(filter.matches('src/app.js'));
+    for (const path of ['node_modules/x/index.js', 'third_party/lib.c', 'dist/app.js', 'app/build/main.js',
+      'assets/app.min.js', 'db/migrations/0001_init.py', 'vendor/lib.go']) {
+      assert(!filter.matches(path), path);
+    }
+  });
+
+  test('should apply include and exclude globs', () => {
+    const filter = new PathFilter({ include: ['src/**'], exclude: ['*.test.js'] });
+    assert(filter.matches('src/app.js'));
+    assert(!filter.matches('lib/app.js'));
+    assert(!filter.matches('src/app.test.js'));
+  });
+
+  test('should honor .gitattributes linguist markers', () => {
+    const rules = parseGitAttributes('*.pb.go linguist-generated\nvendor/ours/** linguist-vendored=false\n');
+    const filter = new PathFilter();
+    assert(!filter.matches('api/service.pb.go', rules));
+    assert(filter.matches('vendor/ours/lib.go', rules));
+    assert(!filter.matches('vendor/theirs/lib.go', rules));
+  });
+
+  test('should match nested .gitattributes patterns below their directory', () => {
+    const rules = [
+      ...parseGitAttributes('*.js linguist-generated\n'),
+      ...parseGitAttributes('/gen.js -linguist-generated\n', 'pkg')
+    ];
+    const filter = new PathFilter();
+    assert.equal(filter.matches('pkg/gen.js', rules), true);
+    assert.equal(filter.matches('pkg/sub/gen.js', rules), false);
+    assert.equal(filter.matches('other/gen.js', rules), false);
+    assert.equal(rules[1].base, 'pkg/');
+  });
+
+  test('should turn off defaults and attributes together', () => {
+    const rules = parseGitAttributes('*.pb.go linguist-generated\n');
+    const filter = new PathFilter({ defaultExcludes: false });
+    assert(filter.matches('node_modules/x/index.js', rules));
+    assert(filter.matches('api/service.pb.go', rules));
+  });
+});
@@ -0,0 +1,80 @@
+import { test, describe, afterEach } from 'node:test';
+import { assert, assertThrows } from './test-helper.js';
+import {
+  PromptTemplates,
+  getTemplate,
+  registerTemplate,
+  listTemplates,
+  loadTemplateFile,
+  resolveTemplate
+} from '../src/builders/prompt-templates.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('prompt templates', () => {
+  let tempDir;
+
+  afterEach(() => {
+    if (tempDir) {
+      try { rmSync(tempDir, { recursive: true }); } catch {}
+      tempDir = null;
+    }
+  });
+
+  test('should provide built-in presets', () => {
+    const names = listTemplates();
+    ['default', 'codellama', 'deepseek', 'starcoder', 'qwen'].forEach(name => {
+      assert(names.includes(name));
+    });
+    assert.equal(getTemplate('codellama').prefix, '<PRE> ');
+    assert.equal(getTemplate('deepseek').middle, '<｜fim▁end｜>');
+  });
+
+  test('should default to the original FIM tokens', () => {
+    assert.deepEqual(getTemplate(), PromptTemplates.default);
+    assert.equal(getTemplate().prefix, '<|fim_prefix|>');
+  });
+
+  test('should reject unknown template names', () => {
+    assertThrows(() => getTemplate('nope'), /Unknown template: nope/);
+  });
+
+  test('should register custom templates with default repo tokens', () => {
+    const template = registerTemplate({ name: 'custom-test', prefix: '<p>', suffix: '<s>', middle: '<m>' });
+    assert.equal(getTemplate('custom-test'), template);
+    assert.equal(template.fileSeparator, PromptTemplates.default.fileSeparator);
+  });
+
+  test('should reject templates missing required tokens', () => {
+    assertThrows(() => registerTemplate({ name: 'broken', prefix: '<p>' }), /"suffix" must be a string/);
+  });
+
+  test('should accept template objects directly', () => {
+    const template = getTemplate({ name: 'inline', prefix: 'P', suffix: 'S', middle: 'M' });
+    assert.equal(template.middle, 'M');
+  });
+
+  test('should load template files named after the file', () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'template-'));
+    const path = join(tempDir, 'file-model.json');
+    writeFileSync(path, JSON.stringify({ prefix: '[P]', suffix: '[S]', middle: '[M]' }));
+
+    const template = loadTemplateFile(path);
+    assert.equal(template.name, 'file-model');
+    assert.equal(getTemplate('file-model').prefix, '[P]');
+  });
+
+  test('should report invalid template files', () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'template-'));
+    const path = join(tempDir, 'bad.json');
+    writeFileSync(path, '{ not json');
+
+    assertThrows(() => loadTemplateFile(path), /Failed to load template/);
+  });
+
+  test('should resolve names before paths', () => {
+    assert.equal(resolveTemplate('starcoder').prefix, '<fim_prefix>');
+    assertThrows(() => resolveTemplate('/no/such/template.json'), /Unknown template/);
+  });
+});
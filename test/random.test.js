@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { SeededRandom } from '../src/utils/random.js';
+
+describe('SeededRandom', () => {
+  test('should produce the same sequence for the same seed', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const seqA = Array.from({ length: 10 }, () => a.next());
+    const seqB = Array.from({ length: 10 }, () => b.next());
+    assert.deepEqual(seqA, seqB);
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    assert.notEqual(new SeededRandom(1).next(), new SeededRandom(2).next());
+  });
+
+  test('should return floats in [0, 1)', () => {
+    const rng = new SeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = rng.next();
+      assert(value >= 0 && value < 1);
+    }
+  });
+
+  test('should pick a random seed when none is given', () => {
+    const rng = new SeededRandom();
+    assert(Number.isInteger(rng.seed));
+    assert.equal(new SeededRandom(rng.seed).next(), rng.next());
+  });
+
+  test('should return integers below the bound', () => {
+    const rng = new SeededRandom(3);
+    for (let i = 0; i < 100; i++) {
+      const value = rng.int(5);
+      assert(Number.isInteger(value) && value >= 0 && value < 5);
+    }
+  });
+
+  test('should shuffle deterministically in place', () => {
+    const a = [1, 2, 3, 4, 5, 6, 7, 8];
+    const b = [...a];
+    const result = new SeededRandom(9).shuffle(a);
+    new SeededRandom(9).shuffle(b);
+
+    assert.equal(result, a);
+    assert.deepEqual(a, b);
+    assert.deepEqual([...a].sort(), [1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test('should sample without modifying the source', () => {
+    const source = [1, 2, 3, 4, 5];
+    const sample = new SeededRandom(5).sample(source, 3);
+    assert.equal(sample.length, 3);
+    assert.equal(new Set(sample).size, 3);
+    assert.deepEqual(source, [1, 2, 3, 4, 5]);
+  });
+});
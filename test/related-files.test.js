@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { extractImportSpecifiers, resolveImportPath } from '../src/utils/related-files.js';
+
+describe('extractImportSpecifiers', () => {
+  test('should find ES module, dynamic and CommonJS imports', () => {
+    const code = `import fs from 'node:fs';
+import { a } from './a.js';
+import './side-effect';
+export { b } from "../b";
+const c = require('./c');
+const d = await import('./d');`;
+
+    assert.deepEqual(extractImportSpecifiers(code, 'javascript'),
+      ['node:fs', './a.js', './side-effect', '../b', './c', './d']);
+  });
+
+  test('should find Python imports', () => {
+    const code = 'import os.path\nfrom .models import User\nfrom pkg.sub import thing\n';
+    assert.deepEqual(extractImportSpecifiers(code, 'python'), ['os.path', '.models', 'pkg.sub']);
+  });
+
+  test('should return nothing for languages without patterns', () => {
+    assert.deepEqual(extractImportSpecifiers('import "fmt"', 'go'), []);
+  });
+});
+
+describe('resolveImportPath', () => {
+  const files = new Set([
+    'src/a.ts',
+    'src/lib/index.js',
+    'pkg/__init__.py',
+    'pkg/models.py',
+    'src/util.rs',
+    'include/config.h',
+    'java/com/example/Widget.java'
+  ]);
+
+  test('should resolve relative JavaScript and TypeScript imports', () => {
+    assert.equal(resolveImportPath('src/main.ts', './a.js', 'typescript', files), 'src/a.ts');
+    assert.equal(resolveImportPath('src/main.js', './lib', 'javascript', files), 'src/lib/index.js');
+    assert.equal(resolveImportPath('src/main.js', 'lodash', 'javascript', files), null);
+  });
+
+  test('should resolve relative and absolute Python modules', () => {
+    assert.equal(resolveImportPath('pkg/views.py', '.models', 'python', files), 'pkg/models.py');
+    assert.equal(resolveImportPath('app.py', 'pkg', 'python', files), 'pkg/__init__.py');
+    assert.equal(resolveImportPath('app.py', 'os.path', 'python', files), null);
+  });
+
+  test('should resolve Rust modules, C includes and Java classes', () => {
+    assert.equal(resolveImportPath('src/main.rs', 'util', 'rust', files), 'src/util.rs');
+    assert.equal(resolveImportPath('src/main.c', 'include/config.h', 'c', files), 'include/config.h');
+    assert.equal(resolveImportPath('java/Main.java', 'com.example.Widget', 'java', files), 'java/com/example/Widget.java');
+  });
+});
@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { normalizeRepoSpecs, loadRepoManifest } from '../src/repo-manifest.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+describe('normalizeRepoSpecs', () => {
+  test('should fill in defaults for plain paths', () => {
+    const [repo] = normalizeRepoSpecs(['repos/api'], '/work');
+    assert.deepEqual(repo, {
+      path: '/work/repos/api',
+      name: 'api',
+      weight: 1,
+      branch: null,
+      extensions: null,
+      maxEditPairs: null
+    });
+  });
+
+  test('should keep per-repository settings', () => {
+    const [repo] = normalizeRepoSpecs([
+      { path: '/src/monorepo', name: 'mono', weight: 0.5, branch: 'release', extensions: ['.go'], maxEditPairs: 100 }
+    ]);
+    assert.equal(repo.name, 'mono');
+    assert.equal(repo.weight, 0.5);
+    assert.equal(repo.branch, 'release');
+    assert.deepEqual(repo.extensions, ['.go']);
+    assert.equal(repo.maxEditPairs, 100);
+  });
+
+  test('should reject duplicate names', () => {
+    assert.throws(() => normalizeRepoSpecs(['/a/app', '/b/app']), /Duplicate repository name: app/);
+  });
+
+  test('should reject invalid entries', () => {
+    assert.throws(() => normalizeRepoSpecs([]), /At least one repository/);
+    assert.throws(() => normalizeRepoSpecs([{ name: 'x' }]), /missing a path/);
+    assert.throws(() => normalizeRepoSpecs([{ path: '/a', weight: 0 }]), /weight must be a positive number/);
+    assert.throws(() => normalizeRepoSpecs([{ path: '/a', maxEditPairs: 1.5 }]), /maxEditPairs must be a positive integer/);
+    assert.throws(() => normalizeRepoSpecs([{ path: '/a', extensions: '.js' }]), /extensions must be an array/);
+  });
+});
+
+describe('loadRepoManifest', () => {
+  test('should resolve paths against the manifest directory', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'manifest-'));
+    try {
+      const manifest = join(dir, 'repos.json');
+      writeFileSync(manifest, JSON.stringify({ repos: ['api', { path: '../web', weight: 2 }] }));
+
+      const repos = loadRepoManifest(manifest);
+      assert.deepEqual(repos.map(repo => repo.path), [join(dir, 'api'), join(dir, '..', 'web')]);
+      assert.equal(repos[1].weight, 2);
+
+      writeFileSync(manifest, JSON.stringify(['api']));
+      assert.equal(loadRepoManifest(manifest)[0].name, 'api');
+    } finally {
+      rmSync(dir, { recursive: true });
+    }
+  });
+
+  test('should report unreadable manifests', () => {
+    assert.throws(() => loadRepoManifest('/nonexistent/repos.json'), /Failed to load manifest/);
+  });
+});
@@ -0,0 +1,53 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { splitGroupKey, assignGroups } from '../src/utils/splits.js';
+import { SeededRandom } from '../src/utils/random.js';
+
+describe('splitGroupKey', () => {
+  const metadata = { repo: 'app', filepath: 'src/a.js', commit: 'abc123' };
+
+  test('should group by file, commit or repository', () => {
+    assert.equal(splitGroupKey(metadata, 'file'), 'app:src/a.js');
+    assert.equal(splitGroupKey(metadata, 'commit'), 'app:abc123');
+    assert.equal(splitGroupKey(metadata, 'time'), 'app:abc123');
+    assert.equal(splitGroupKey(metadata, 'repo'), 'app');
+  });
+
+  test('should return null for per-example splits', () => {
+    assert.equal(splitGroupKey(metadata, 'example'), null);
+  });
+});
+
+describe('assignGroups', () => {
+  const groups = sizes => new Map(sizes.map((size, i) => [`g${i}`, { size, date: `2024-01-${String(i + 1).padStart(2, '0')}` }]));
+
+  test('should split examples close to the requested ratio', () => {
+    const assignment = assignGroups(groups(Array(20).fill(5)), [0.8, 0.2], { rng: new SeededRandom(1) });
+    const test = [...assignment.values()].filter(index => index === 1).length;
+    assert.equal(test, 4);
+  });
+
+  test('should be deterministic for a seed', () => {
+    const a = assignGroups(groups([3, 1, 4, 1, 5, 9, 2, 6]), [0.5, 0.5], { rng: new SeededRandom(7) });
+    const b = assignGroups(groups([3, 1, 4, 1, 5, 9, 2, 6]), [0.5, 0.5], { rng: new SeededRandom(7) });
+    assert.deepEqual([...a], [...b]);
+  });
+
+  test('should put the newest groups in the last split when ordering by time', () => {
+    const input = groups([2, 2, 2, 2, 2]);
+    // Insertion order shouldn't matter
+    const shuffled = new Map([...input].reverse());
+    const assignment = assignGroups(shuffled, [0.6, 0.4], { rng: new SeededRandom(1), byTime: true });
+    assert.deepEqual(['g0', 'g1', 'g2', 'g3', 'g4'].map(key => assignment.get(key)), [0, 0, 0, 1, 1]);
+  });
+
+  test('should not let one large group swallow a small split', () => {
+    const input = new Map([
+      ['big', { size: 8, date: '2024-01-01' }],
+      ['small', { size: 2, date: '2024-02-01' }]
+    ]);
+    const assignment = assignGroups(input, [0.8, 0.2], { rng: new SeededRandom(1), byTime: true });
+    assert.equal(assignment.get('big'), 0);
+    assert.equal(assignment.get('small'), 1);
+  });
+});
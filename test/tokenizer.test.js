@@ -0,0 +1,129 @@
+import { test, describe } from 'node:test';
+import { assert } from './test-helper.js';
+import { BPETokenizer, loadTokenizer, summarizeTokenCounts } from '../src/utils/tokenizer.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+// Byte-level BPE in the GPT-2 layout; 'Ġ' is the byte-level form of a space
+const byteLevelConfig = {
+  added_tokens: [{ id: 100, content: '<|fim_prefix|>', special: true }],
+  pre_tokenizer: { type: 'ByteLevel', add_prefix_space: false },
+  decoder: { type: 'ByteLevel' },
+  model: {
+    type: 'BPE',
+    vocab: {
+      h: 0, e: 1, l: 2, o: 3, 'Ġ': 4, w: 5, r: 6, d: 7,
+      he: 8, ll: 9, hell: 10, hello: 11, 'Ġw': 12, 'Ã': 13, '©': 14
+    },
+    merges: ['h e', 'l l', 'he ll', ['hell', 'o'], 'Ġ w']
+  }
+};
+
+describe('BPETokenizer', () => {
+  test('should apply merges in rank order', () => {
+    const tokenizer = new BPETokenizer(byteLevelConfig);
+    assert.deepEqual(tokenizer.encode('hello world'), [11, 12, 3, 6, 2, 7]);
+    assert.equal(tokenizer.count('hello world'), 6);
+  });
+
+  test('should encode multi-byte characters as bytes', () => {
+    const tokenizer = new BPETokenizer(byteLevelConfig);
+    assert.deepEqual(tokenizer.encode('é'), [13, 14]);
+  });
+
+  test('should keep added tokens whole', () => {
+    const tokenizer = new BPETokenizer(byteLevelConfig);
+    assert.deepEqual(tokenizer.encode('<|fim_prefix|>hello'), [100, 11]);
+  });
+
+  test('should count empty text as zero tokens', () => {
+    assert.equal(new BPETokenizer(byteLevelConfig).count(''), 0);
+  });
+
+  test('should fall back to byte tokens for metaspace vocabularies', () => {
+    const tokenizer = new BPETokenizer({
+      pre_tokenizer: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'always' },
+      model: {
+        type: 'BPE',
+        byte_fallback: true,
+        vocab: { '▁': 0, a: 1, b: 2, '▁a': 3, '<0x21>': 4 },
+        merges: ['▁ a']
+      }
+    });
+
+    assert.deepEqual(tokenizer.encode('a b!'), [3, 0, 2, 4]);
+  });
+
+  describe('pre-tokenizer sequences', () => {
+    const model = { type: 'BPE', vocab: {}, merges: [] };
+    const pieces = (preTokenizers, text) =>
+      new BPETokenizer({ pre_tokenizer: { type: 'Sequence', pretokenizers: preTokenizers }, model })._preTokenize(text);
+
+    test('should apply every split step in order', () => {
+      // DeepSeek-style: digits first, then words, then everything else
+      const steps = [
+        { type: 'Split', pattern: { Regex: '\\p{N}{1,3}' }, behavior: 'Isolated', invert: false },
+        { type: 'Split', pattern: { Regex: '[A-Za-z]+' }, behavior: 'Isolated', invert: false }
+      ];
+      assert.deepEqual(pieces(steps, 'abc12345 def'), ['abc', '123', '45', ' ', 'def']);
+    });
+
+    test('should follow each split behavior and invert', () => {
+      const split = (behavior, invert = false) => [{ type: 'Split', pattern: { String: '-' }, behavior, invert }];
+      assert.deepEqual(pieces(split('Removed'), 'a-b--c'), ['a', 'b', 'c']);
+      assert.deepEqual(pieces(split('Isolated'), 'a-b--c'), ['a', '-', 'b', '-', '-', 'c']);
+      assert.deepEqual(pieces(split('MergedWithPrevious'), 'a-b--c'), ['a-', 'b-', '-', 'c']);
+      assert.deepEqual(pieces(split('MergedWithNext'), 'a-b--c'), ['a', '-b', '-', '-c']);
+      assert.deepEqual(pieces(split('Contiguous'), 'a-b--c'), ['a', '-', 'b', '--', 'c']);
+      assert.deepEqual(pieces(split('Removed', true), 'a-b--c'), ['-', '-', '-']);
+    });
+
+    test('should split digits', () => {
+      assert.deepEqual(pieces([{ type: 'Digits', individual_digits: true }], 'x123'), ['x', '1', '2', '3']);
+      assert.deepEqual(pieces([{ type: 'Digits', individual_digits: false }], 'x123'), ['x', '123']);
+    });
+
+    test('should keep case-insensitive contraction groups case-insensitive', () => {
+      const steps = [{ type: 'Split', pattern: { Regex: "(?i:'s|'t)|\\p{L}+" }, behavior: 'Isolated' }];
+      assert.deepEqual(pieces(steps, "IT'S"), ['IT', "'S"]);
+    });
+
+    test('should reject steps it cannot reproduce', () => {
+      assert.throws(() => pieces([{ type: 'BertPreTokenizer' }], 'x'), /pre-tokenizer BertPreTokenizer/);
+      assert.throws(() => pieces([{ type: 'Split', pattern: { Regex: '(?<=a' }, behavior: 'Isolated' }], 'x'), /split pattern/);
+      assert.throws(() => pieces([{ type: 'Split', pattern: { String: '-' }, behavior: 'Sideways' }], 'x'), /split behavior/);
+    });
+  });
+
+  test('should reject non-BPE models', () => {
+    assert.throws(() => new BPETokenizer({ model: { type: 'WordPiece', vocab: {} } }), /only BPE/);
+  });
+
+  test('should load tokenizer.json from a model directory', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'tokenizer-'));
+    try {
+      writeFileSync(join(dir, 'tokenizer.json'), JSON.stringify(byteLevelConfig));
+      const tokenizer = loadTokenizer(dir);
+      assert.equal(tokenizer.count('hello'), 1);
+      assert(tokenizer.name.startsWith('tokenizer-'));
+    } finally {
+      rmSync(dir, { recursive: true });
+    }
+  });
+});
+
+describe('summarizeTokenCounts', () => {
+  test('should bucket counts into doubling ranges', () => {
+    const summary = summarizeTokenCounts([3, 10, 20, 40, 40, 200]);
+    assert.equal(summary.count, 6);
+    assert.equal(summary.min, 3);
+    assert.equal(summary.max, 200);
+    assert.equal(summary.p50, 40);
+    assert.deepEqual(summary.histogram, { '0-15': 2, '16-31': 1, '32-63': 2, '128-255': 1 });
+  });
+
+  test('should handle no counts', () => {
+    assert.equal(summarizeTokenCounts([]).count, 0);
+  });
+});
@@ -8,11 +8,12 @@ describe('FIMFormat', () => {
     assert.equal(FIMFormat.SPM, 'suffix_prefix_middle');
     assert.equal(FIMFormat.ZED, 'zed_format');
     assert.equal(FIMFormat.MIXED, 'mixed');
+    assert.equal(FIMFormat.EDIT_PREDICTION, 'edit_prediction');
   });
 
   test('should be usable as enum keys', () => {
     const formats = Object.keys(FIMFormat);
-    assert.deepEqual(formats, ['PSM', 'SPM', 'ZED', 'MIXED']);
+    assert.deepEqual(formats, ['PSM', 'SPM', 'ZED', 'MIXED', 'EDIT_PREDICTION']);
   });
 });
 